@@ -0,0 +1,35 @@
+// backend/Routes/analyticsRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const {
+    getActivity,
+    getLeaderboard,
+    getHourlyActivity,
+    getAccuracyDistribution,
+    getActiveUsers,
+    getHeatmap,
+} = require('../controllers/analyticsController');
+const router = express.Router();
+
+// Admins see everyone; supervisors only the members of their teams
+router.use(protect, authorizeRoles('admin', 'supervisor'));
+
+// Photos per user per day / week / month
+router.get('/activity', getActivity);
+
+// Most active users
+router.get('/leaderboard', getLeaderboard);
+
+// Photos by hour of day
+router.get('/hourly', getHourlyActivity);
+
+// GPS accuracy histogram
+router.get('/accuracy', getAccuracyDistribution);
+
+// Active vs inactive users
+router.get('/users', getActiveUsers);
+
+// Heatmap cells for a bounding box
+router.get('/heatmap', getHeatmap);
+
+module.exports = router;
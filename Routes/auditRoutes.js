@@ -0,0 +1,16 @@
+// backend/Routes/auditRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const { getAuditLogs, exportAuditLogs } = require('../controllers/auditController');
+const router = express.Router();
+
+// All routes here are for Admin only
+router.use(protect, authorizeRoles('admin'));
+
+// Admin: Export audit log as CSV
+router.get('/export', exportAuditLogs);
+
+// Admin: List audit log entries (filterable, cursor-paginated)
+router.get('/', getAuditLogs);
+
+module.exports = router;
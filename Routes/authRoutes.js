@@ -1,19 +1,62 @@
 // backend/Routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, protectAllowingPendingSetup, authorizeRoles } = require('../middleware/auth');
 const { 
     loginUser, 
     getUserProfile, 
     refreshAccessToken, 
     logoutUser, 
-    validateLogin // *** IMPORT validateLogin ***
+    validateLogin, // *** IMPORT validateLogin ***
+    validateTwoFactorLogin,
+    loginTwoFactor,
+    validateChangePassword,
+    validateForgotPassword,
+    validateResetPassword,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    validateTwoFactorSetup,
+    validateTwoFactorEnable,
+    validateTwoFactorDisable,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    validateSessionIdParam,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions,
 } = require('../controllers/authController');
+const { validateLockoutIdParam, getLockouts, clearLockout } = require('../controllers/lockoutController');
 
 // *** CHANGE: Add validateLogin middleware to the login route ***
 router.post('/login', validateLogin, loginUser);
-router.get('/profile', protect, getUserProfile);
+router.post('/login/2fa', validateTwoFactorLogin, loginTwoFactor);
+router.get('/profile', protectAllowingPendingSetup, getUserProfile);
 router.post('/refresh', refreshAccessToken);
 router.post('/logout', logoutUser);
 
+// Passwords: self-service change, and reset through an emailed link
+router.post('/change-password', protectAllowingPendingSetup, validateChangePassword, changePassword);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password', validateResetPassword, resetPassword);
+
+// TOTP two-factor authentication (setup is reachable while enrollment is still required)
+router.get('/2fa', protectAllowingPendingSetup, getTwoFactorStatus);
+router.post('/2fa/setup', protectAllowingPendingSetup, validateTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectAllowingPendingSetup, validateTwoFactorEnable, enableTwoFactor);
+router.post('/2fa/disable', protect, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, validateTwoFactorEnable, regenerateRecoveryCodes);
+
+// Device sessions of the logged-in user
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, validateSessionIdParam, revokeMySession);
+
+// Admin: failed-login counters and lockouts
+router.get('/lockouts', protect, authorizeRoles('admin'), getLockouts);
+router.delete('/lockouts/:id', protect, authorizeRoles('admin'), validateLockoutIdParam, clearLockout);
+
 module.exports = router;
@@ -0,0 +1,10 @@
+// backend/Routes/feedRoutes.js
+const express = require('express');
+const { protectStream, authorizeRoles } = require('../middleware/auth');
+const { streamFeed } = require('../controllers/feedController');
+const router = express.Router();
+
+// Live photo events (Server-Sent Events); supervisors only get their teams
+router.get('/', protectStream, authorizeRoles('admin', 'supervisor'), streamFeed);
+
+module.exports = router;
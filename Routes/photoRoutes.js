@@ -2,20 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorizeRoles } = require('../middleware/auth'); // Assuming these exist
-const { uploadPhoto, getMyPhotos, getAllPhotos, exportPhotosCSV, deletePhoto } = require('../controllers/photoController');
+const { validateUploadPhoto, uploadPhoto, syncPhotos, getMyPhotos, getAllPhotos, getDuplicateClusters, exportPhotos, downloadPhotosZip, deletePhoto } = require('../controllers/photoController');
+const { validatePhotoIdParam, getTrashedPhotos, restorePhoto, purgeTrashedPhoto } = require('../controllers/photoTrashController');
+const { validateGeocodeBackfill, startBackfill, getBackfillStatus, cancelBackfill } = require('../controllers/geocodeController');
+const {
+    validateReview, validateBulkReview, validateTags, validateComment, validateCommentParams,
+    reviewPhoto, bulkReviewPhotos, setPhotoTags, getPhotoComments, addPhotoComment, deletePhotoComment,
+} = require('../controllers/photoReviewController');
+const { IMAGE_CONTENT_TYPES } = require('../services/storage');
+const { createHttpError } = require('../utils/httpError');
 
 // Assuming multer for file uploads
 const multer = require('multer');
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Images only: the content type also picks the stored file's extension
+const imageFilter = (req, file, cb) => {
+    if (IMAGE_CONTENT_TYPES.includes(file.mimetype)) {
+        return cb(null, true);
+    }
+    cb(createHttpError(400, 'Only JPEG, PNG, WebP or HEIC images can be uploaded.'));
+};
+const upload = multer({ storage: storage, fileFilter: imageFilter });
+// Offline sync: one file per item, field name = the item's clientId
+const syncUpload = multer({ storage: storage, fileFilter: imageFilter, limits: { files: 25, fileSize: 15 * 1024 * 1024 } });
 
 // Existing routes
-router.post('/upload', protect, upload.single('image'), uploadPhoto);
+router.post('/upload', protect, upload.single('image'), validateUploadPhoto, uploadPhoto);
+router.post('/sync', protect, syncUpload.any(), syncPhotos);
 router.get('/my', protect, getMyPhotos);
-router.get('/all', protect, authorizeRoles('admin'), getAllPhotos);
-router.get('/export', protect, authorizeRoles('admin'), exportPhotosCSV);
+router.get('/all', protect, authorizeRoles('admin', 'supervisor'), getAllPhotos); // Supervisors: their teams only
+router.get('/duplicates', protect, authorizeRoles('admin'), getDuplicateClusters);
+router.get('/export', protect, authorizeRoles('admin', 'supervisor'), exportPhotos); // ?format=csv|geojson|kml|gpx
+router.get('/export/zip', protect, authorizeRoles('admin', 'supervisor'), downloadPhotosZip);
+
+// Trash bin (Admin): list, restore, purge permanently
+router.get('/trash', protect, authorizeRoles('admin'), getTrashedPhotos);
+router.post('/trash/:id/restore', protect, authorizeRoles('admin'), validatePhotoIdParam, restorePhoto);
+router.delete('/trash/:id', protect, authorizeRoles('admin'), validatePhotoIdParam, purgeTrashedPhoto);
+
+// Reverse geocoding of existing photos (Admin): start, progress, cancel
+router.post('/geocode/backfill', protect, authorizeRoles('admin'), validateGeocodeBackfill, startBackfill);
+router.get('/geocode/backfill', protect, authorizeRoles('admin'), getBackfillStatus);
+router.delete('/geocode/backfill', protect, authorizeRoles('admin'), cancelBackfill);
+
+// Review (Admin, Supervisor for their teams): verdict, tags, bulk action on a selection
+router.post('/review/bulk', protect, authorizeRoles('admin', 'supervisor'), validateBulkReview, bulkReviewPhotos);
+router.put('/:id/review', protect, authorizeRoles('admin', 'supervisor'), validatePhotoIdParam, validateReview, reviewPhoto);
+router.put('/:id/tags', protect, authorizeRoles('admin', 'supervisor'), validatePhotoIdParam, validateTags, setPhotoTags);
+
+// Comments (photo owner, Admin, Supervisor for their teams); deleting: author or Admin
+router.get('/:id/comments', protect, validatePhotoIdParam, getPhotoComments);
+router.post('/:id/comments', protect, validatePhotoIdParam, validateComment, addPhotoComment);
+router.delete('/:id/comments/:commentId', protect, validateCommentParams, deletePhotoComment);
 
 // *** NEW DELETE ROUTE ***
-router.delete('/:id', protect, deletePhoto); // Protect ensures logged in, deletePhoto handles admin/owner authorization
+router.delete('/:id', protect, deletePhoto); // Moves to trash; deletePhoto handles admin/owner authorization
 
 module.exports = router;
@@ -0,0 +1,19 @@
+// backend/Routes/reportRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const { getAttendanceReport, getUserRoute, getDistanceReport } = require('../controllers/reportController');
+const router = express.Router();
+
+// Admins see everyone; supervisors only the members of their teams
+router.use(protect, authorizeRoles('admin', 'supervisor'));
+
+// Attendance per user per day (?format=json|csv|xlsx)
+router.get('/attendance', getAttendanceReport);
+
+// One user's route on one day (GeoJSON Feature with stops and dwell clusters)
+router.get('/route', getUserRoute);
+
+// Kilometres travelled per user per day (?format=json|csv)
+router.get('/distance', getDistanceReport);
+
+module.exports = router;
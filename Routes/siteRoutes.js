@@ -0,0 +1,34 @@
+// backend/Routes/siteRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const {
+    validateSiteCreation,
+    validateSiteUpdate,
+    validateSiteIdParam,
+    createSite,
+    getAllSites,
+    getSiteById,
+    updateSite,
+    deleteSite,
+} = require('../controllers/siteController');
+const router = express.Router();
+
+// All routes here are for Admin only
+router.use(protect, authorizeRoles('admin'));
+
+// Admin: Create a new site
+router.post('/', validateSiteCreation, createSite);
+
+// Admin: Get all sites (optional ?active=true|false)
+router.get('/', getAllSites);
+
+// Admin: Get a single site by ID
+router.get('/:id', validateSiteIdParam, getSiteById);
+
+// Admin: Update a site (geometry, assigned users, active flag)
+router.put('/:id', validateSiteIdParam, validateSiteUpdate, updateSite);
+
+// Admin: Delete a site
+router.delete('/:id', validateSiteIdParam, deleteSite);
+
+module.exports = router;
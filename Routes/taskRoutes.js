@@ -0,0 +1,43 @@
+// backend/Routes/taskRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const {
+    validateTaskCreation,
+    validateTaskUpdate,
+    validateTaskIdParam,
+    createTask,
+    getTasks,
+    getMyTasks,
+    getTaskReport,
+    getTaskById,
+    updateTask,
+    deleteTask,
+} = require('../controllers/taskController');
+const router = express.Router();
+
+// Admin assigns tasks; supervisors follow their teams'; users see their own
+router.use(protect);
+const adminOnly = authorizeRoles('admin');
+
+// User: Own tasks (open ones by default)
+router.get('/my', getMyTasks);
+
+// Admin, Supervisor (own teams): Status report with overdue and missed tasks
+router.get('/report', authorizeRoles('admin', 'supervisor'), getTaskReport);
+
+// Admin: Assign a task
+router.post('/', adminOnly, validateTaskCreation, createTask);
+
+// Admin, Supervisor (own teams): List tasks
+router.get('/', authorizeRoles('admin', 'supervisor'), getTasks);
+
+// Admin, Supervisor (own teams), assignee: Get a single task by ID
+router.get('/:id', validateTaskIdParam, getTaskById);
+
+// Admin: Update, cancel or reopen a task
+router.put('/:id', adminOnly, validateTaskIdParam, validateTaskUpdate, updateTask);
+
+// Admin: Delete a task
+router.delete('/:id', adminOnly, validateTaskIdParam, deleteTask);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// backend/Routes/teamRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const {
+    validateTeamCreation,
+    validateTeamUpdate,
+    validateTeamMembership,
+    validateTeamIdParam,
+    validateTeamMemberParams,
+    createTeam,
+    getTeams,
+    getTeamById,
+    updateTeam,
+    deleteTeam,
+    addTeamMembers,
+    removeTeamMember,
+} = require('../controllers/teamController');
+const router = express.Router();
+
+// Admin manages teams; supervisors can read the teams they supervise
+router.use(protect);
+const adminOnly = authorizeRoles('admin');
+
+// Admin: Create a team
+router.post('/', adminOnly, validateTeamCreation, createTeam);
+
+// Admin, Supervisor (own teams): List teams
+router.get('/', authorizeRoles('admin', 'supervisor'), getTeams);
+
+// Admin, Supervisor (own teams): Get a single team by ID
+router.get('/:id', authorizeRoles('admin', 'supervisor'), validateTeamIdParam, getTeamById);
+
+// Admin: Update a team (name, description, member / supervisor lists)
+router.put('/:id', adminOnly, validateTeamIdParam, validateTeamUpdate, updateTeam);
+
+// Admin: Delete a team
+router.delete('/:id', adminOnly, validateTeamIdParam, deleteTeam);
+
+// Admin: Add members or supervisors ({ userIds, as: 'member' | 'supervisor' })
+router.post('/:id/members', adminOnly, validateTeamIdParam, validateTeamMembership, addTeamMembers);
+
+// Admin: Remove a user from a team
+router.delete('/:id/members/:userId', adminOnly, validateTeamMemberParams, removeTeamMember);
+
+module.exports = router;
@@ -1,30 +1,50 @@
 const express = require('express');
 const { protect, authorizeRoles } = require('../middleware/auth');
 const {
+    validateUserCreation,
+    validateUserUpdate,
     createUser,
     getAllUsers,
     getUserById,
     updateUser,
     deleteUser,
+    validateUserIdParam,
+    revokeUserSessions,
+    resetUserTwoFactor,
 } = require('../controllers/userController');
+const { validateUserImport, validateUserExport, importUsers, exportUsers } = require('../controllers/userImportController');
+const importConfig = require('../config/userImport');
+const multer = require('multer');
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { files: 1, fileSize: importConfig.maxFileBytes } });
 const router = express.Router();
 
-// All routes here are for Admin only
-router.use(protect, authorizeRoles('admin'));
+// Admin only, except the listing which supervisors get scoped to their teams
+router.use(protect);
+const adminOnly = authorizeRoles('admin');
 
 // Admin: Create a new user
-router.post('/', createUser);
+router.post('/', adminOnly, validateUserCreation, createUser);
 
-// Admin: Get all users
-router.get('/', getAllUsers);
+// Admin: Bulk create from a CSV (dryRun=true only validates) and export (?format=csv|json)
+router.post('/import', adminOnly, csvUpload.single('file'), validateUserImport, importUsers);
+router.get('/export', adminOnly, validateUserExport, exportUsers);
 
-// Admin: Get a single user by ID
-router.get('/:id', getUserById);
+// Admin, Supervisor (their teams): Get all users
+router.get('/', authorizeRoles('admin', 'supervisor'), getAllUsers);
+
+// Admin, Supervisor (their teams): Get a single user by ID
+router.get('/:id', authorizeRoles('admin', 'supervisor'), validateUserIdParam, getUserById);
 
 // Admin: Update a user by ID
-router.put('/:id', updateUser);
+router.put('/:id', adminOnly, validateUserIdParam, validateUserUpdate, updateUser);
 
 // Admin: Delete a user by ID
-router.delete('/:id', deleteUser);
+router.delete('/:id', adminOnly, validateUserIdParam, deleteUser);
+
+// Admin: Sign a user out of every device
+router.delete('/:id/sessions', adminOnly, validateUserIdParam, revokeUserSessions);
+
+// Admin: Reset a user's two-factor authentication
+router.delete('/:id/2fa', adminOnly, validateUserIdParam, resetUserTwoFactor);
 
 module.exports = router;
\ No newline at end of file
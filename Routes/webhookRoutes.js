@@ -0,0 +1,52 @@
+// backend/Routes/webhookRoutes.js
+const express = require('express');
+const { protect, authorizeRoles } = require('../middleware/auth');
+const {
+    validateWebhookCreation,
+    validateWebhookUpdate,
+    validateWebhookIdParam,
+    validateDeliveryIdParam,
+    validateDeliveryQuery,
+    createWebhook,
+    getWebhooks,
+    getWebhookById,
+    updateWebhook,
+    deleteWebhook,
+    testWebhook,
+    getWebhookDeliveries,
+    getDeliveryById,
+    replayDelivery,
+} = require('../controllers/webhookController');
+const router = express.Router();
+
+// Webhooks are managed by admins only
+router.use(protect, authorizeRoles('admin'));
+
+// Admin: One delivery with its payload and attempts
+router.get('/deliveries/:deliveryId', validateDeliveryIdParam, getDeliveryById);
+
+// Admin: Send a delivery's event again
+router.post('/deliveries/:deliveryId/replay', validateDeliveryIdParam, replayDelivery);
+
+// Admin: Create a webhook (the response holds the signing secret)
+router.post('/', validateWebhookCreation, createWebhook);
+
+// Admin: List webhooks
+router.get('/', getWebhooks);
+
+// Admin: Get a single webhook by ID
+router.get('/:id', validateWebhookIdParam, getWebhookById);
+
+// Admin: Update a webhook (rotateSecret: true for a new secret)
+router.put('/:id', validateWebhookIdParam, validateWebhookUpdate, updateWebhook);
+
+// Admin: Delete a webhook and its delivery log
+router.delete('/:id', validateWebhookIdParam, deleteWebhook);
+
+// Admin: Send a test ping
+router.post('/:id/test', validateWebhookIdParam, testWebhook);
+
+// Admin: Delivery log of a webhook
+router.get('/:id/deliveries', validateWebhookIdParam, validateDeliveryQuery, getWebhookDeliveries);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// Analytics endpoint settings (see services/analytics.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // IANA time zone days, weeks, months and hours are measured in
+    timezone: process.env.ANALYTICS_TIMEZONE || process.env.ATTENDANCE_TIMEZONE || 'UTC',
+    // Period analysed when the request gives no date / from / to
+    defaultRangeDays: number(process.env.ANALYTICS_DEFAULT_RANGE_DAYS, 30),
+    // Results are kept in memory this long, so dashboard refreshes are cheap
+    cacheTtlMs: number(process.env.ANALYTICS_CACHE_TTL_SECONDS, 60) * 1000,
+    cacheMaxEntries: number(process.env.ANALYTICS_CACHE_MAX_ENTRIES, 500),
+    // Upper bounds (meters) of the accuracy histogram buckets
+    accuracyBuckets: [5, 10, 20, 50, 100, 500],
+    // Refuse heatmaps that could produce more cells than this
+    heatmapMaxCells: number(process.env.ANALYTICS_HEATMAP_MAX_CELLS, 10000),
+};
@@ -0,0 +1,20 @@
+// Working hours used by the attendance report (see services/attendance.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+const list = (value, fallback) => (value ? String(value).split(',').map((item) => Number(item.trim())) : fallback);
+
+module.exports = {
+    // IANA time zone the working day is measured in, e.g. "Asia/Kolkata"
+    timezone: process.env.ATTENDANCE_TIMEZONE || 'UTC',
+    // Local "HH:mm"; first photo after start (+ grace) is a late arrival,
+    // last photo before end (- grace) is an early departure
+    workdayStart: process.env.ATTENDANCE_WORKDAY_START || '09:00',
+    workdayEnd: process.env.ATTENDANCE_WORKDAY_END || '17:00',
+    graceMinutes: number(process.env.ATTENDANCE_GRACE_MINUTES, 0),
+    // Days expected at work, 0 = Sunday ... 6 = Saturday
+    workingDays: list(process.env.ATTENDANCE_WORKING_DAYS, [1, 2, 3, 4, 5]),
+    // Longest date range one report may cover
+    maxRangeDays: number(process.env.ATTENDANCE_MAX_RANGE_DAYS, 93),
+};
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('../models/User'); // Path to your User model
+const Photo = require('../models/Photo');
 
 const connectDB = async () => {
     try {
@@ -24,6 +25,12 @@ const connectDB = async () => {
             console.log('ℹ️  Admin user already exists');
         }
 
+        // Backfill GeoJSON locations for photos stored before geospatial support
+        const backfilled = await Photo.backfillLocations();
+        if (backfilled > 0) {
+            console.log(`✅ Backfilled location on ${backfilled} photo(s)`);
+        }
+
     } catch (err) {
         console.error(err.message);
         process.exit(1);
@@ -0,0 +1,33 @@
+// Reverse geocoding settings (see services/geocoding)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // none | nominatim | gazetteer (none disables server-side geocoding)
+    provider: (process.env.GEOCODER_PROVIDER || 'none').toLowerCase(),
+
+    // Nominatim-compatible HTTP API (public server, or a self-hosted one)
+    nominatimUrl: (process.env.GEOCODER_NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, ''),
+    // The public server's usage policy requires an identifying User-Agent (and asks for 1 request/second)
+    userAgent: process.env.GEOCODER_USER_AGENT || 'focus-gps-backend',
+    email: process.env.GEOCODER_EMAIL || undefined,
+    language: process.env.GEOCODER_LANGUAGE || 'en',
+    timeoutMs: number(process.env.GEOCODER_TIMEOUT_MS, 5000),
+    minIntervalMs: number(process.env.GEOCODER_MIN_INTERVAL_MS, 1000),
+    // Longest an upload waits for its turn in the request queue; past that the
+    // photo is stored without an address and left to the backfill
+    uploadMaxWaitMs: number(process.env.GEOCODER_UPLOAD_MAX_WAIT_MS, 200),
+
+    // Offline provider: JSON array or GeoJSON FeatureCollection of places
+    gazetteerFile: process.env.GEOCODER_GAZETTEER_FILE || undefined,
+    // Nearest place farther away than this is not a match
+    gazetteerMaxDistanceMeters: number(process.env.GEOCODER_GAZETTEER_MAX_DISTANCE, 2000),
+
+    // Cache grid: coordinates rounded to this many decimals (4 = ~11 m)
+    cachePrecision: number(process.env.GEOCODER_CACHE_PRECISION, 4),
+    cacheTtlMs: number(process.env.GEOCODER_CACHE_TTL_DAYS, 90) * 24 * 60 * 60 * 1000,
+    // "Nothing here" answers are cached too, but for less time
+    missTtlMs: number(process.env.GEOCODER_MISS_TTL_HOURS, 24) * 60 * 60 * 1000,
+};
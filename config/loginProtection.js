@@ -0,0 +1,26 @@
+// Brute-force protection thresholds for POST /api/auth/login (see services/loginProtection.js)
+const { trustProxy } = require('./proxy');
+
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+module.exports = {
+    // Failed attempts allowed within the window before a temporary lockout
+    maxFailuresPerAccount: number(process.env.LOGIN_MAX_FAILURES_ACCOUNT, 5),
+    maxFailuresPerIp: number(process.env.LOGIN_MAX_FAILURES_IP, 20),
+    // Behind a reverse proxy req.ip is the proxy's address unless TRUST_PROXY
+    // trusts it (see config/proxy.js), and one IP lock would shut everybody
+    // out. So the per-IP counter is off unless a proxy is trusted, or
+    // LOGIN_IP_LOCKOUT=true (clients connecting directly).
+    ipLockoutEnabled: flag(process.env.LOGIN_IP_LOCKOUT, Boolean(trustProxy)),
+    // Failures older than this no longer count
+    failureWindowMs: number(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * 60 * 1000,
+    // How long a lockout lasts
+    lockoutMs: number(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+    // Progressive delay before answering: base * 2^(failures - 1), capped
+    delayBaseMs: number(process.env.LOGIN_DELAY_BASE_MS, 250),
+    delayMaxMs: number(process.env.LOGIN_DELAY_MAX_MS, 5000),
+};
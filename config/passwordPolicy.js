@@ -0,0 +1,18 @@
+// Password policy enforced on every password set (see services/passwordPolicy.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+module.exports = {
+    minLength: number(process.env.PASSWORD_MIN_LENGTH, 8),
+    requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+    requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+    requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    // Number of previous passwords that cannot be reused (0 disables the check)
+    historySize: number(process.env.PASSWORD_HISTORY_SIZE, 5),
+    // Lifetime of a password reset link
+    resetTokenTtlMs: number(process.env.PASSWORD_RESET_TTL_MINUTES, 30) * 60 * 1000,
+};
@@ -0,0 +1,13 @@
+// Reverse proxies in front of the app, from TRUST_PROXY: true / false, a hop
+// count or a list of addresses (see Express' "trust proxy"). Undefined when
+// unset; false, 0 and an empty value all mean no proxy is trusted.
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+};
+
+module.exports = {
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+};
@@ -0,0 +1,16 @@
+// Visit task settings (see models/Task.js and services/tasks.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // Radius used when a task is created without one
+    defaultRadiusMeters: number(process.env.TASK_DEFAULT_RADIUS_METERS, 100),
+    maxRadiusMeters: number(process.env.TASK_MAX_RADIUS_METERS, 50000),
+    // After its window closes a task stays 'overdue' this long (a photo taken
+    // in time may still arrive through offline sync), then it is 'missed'
+    lateSyncGraceMs: number(process.env.TASK_LATE_SYNC_GRACE_HOURS, 24) * 60 * 60 * 1000,
+    // Overdue / missed tasks listed in full by the status report
+    reportListLimit: number(process.env.TASK_REPORT_LIST_LIMIT, 200),
+};
@@ -0,0 +1,16 @@
+// Route reconstruction and distance settings (see services/travel.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // IANA time zone days are measured in (defaults to the attendance report's)
+    timezone: process.env.TRAVEL_TIMEZONE || process.env.ATTENDANCE_TIMEZONE || 'UTC',
+    // Consecutive photos within this distance of each other form one stop
+    dwellRadiusMeters: number(process.env.TRAVEL_DWELL_RADIUS_METERS, 100),
+    // A stop with at least this many photos is reported as a dwell cluster
+    dwellMinPhotos: number(process.env.TRAVEL_DWELL_MIN_PHOTOS, 2),
+    // Longest date range the distance report may cover
+    maxRangeDays: number(process.env.TRAVEL_MAX_RANGE_DAYS, 93),
+};
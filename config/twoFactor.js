@@ -0,0 +1,18 @@
+// TOTP two-factor authentication settings (see services/totp.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+module.exports = {
+    // Shown as the account issuer in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Focus GPS',
+    // When true, admins must enroll before they can use anything but the 2FA setup routes
+    requiredForAdmins: flag(process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS, false),
+    // Accepted clock drift, in 30-second steps either side of now
+    window: number(process.env.TWO_FACTOR_WINDOW, 1),
+    // Lifetime of the challenge token between the password and code steps
+    challengeTtlSeconds: number(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS, 300),
+    recoveryCodeCount: number(process.env.TWO_FACTOR_RECOVERY_CODES, 10),
+};
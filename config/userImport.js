@@ -0,0 +1,11 @@
+// Bulk user import settings (see controllers/userImportController.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // Largest CSV accepted, and the most users it may create at once
+    maxFileBytes: number(process.env.USER_IMPORT_MAX_FILE_KB, 1024) * 1024,
+    maxRows: number(process.env.USER_IMPORT_MAX_ROWS, 1000),
+};
@@ -0,0 +1,21 @@
+// Outbound webhook settings (see services/webhooks.js)
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+    // Attempts per delivery before it is marked failed
+    maxAttempts: number(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    // Retry n waits baseDelay * 2^(n-1), capped at maxDelay (plus up to 10% jitter)
+    baseDelayMs: number(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30) * 1000,
+    maxDelayMs: number(process.env.WEBHOOK_RETRY_MAX_MINUTES, 6 * 60) * 60 * 1000,
+    // A target must answer within this time
+    timeoutMs: number(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+    // How often the worker looks for due deliveries, and how many it sends per round
+    pollIntervalMs: number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS, 5) * 1000,
+    batchSize: number(process.env.WEBHOOK_BATCH_SIZE, 20),
+    // Characters of each response body kept in the delivery log
+    responseBodyLimit: number(process.env.WEBHOOK_RESPONSE_BODY_LIMIT, 1000),
+    userAgent: process.env.WEBHOOK_USER_AGENT || 'focus-gps-webhooks',
+};
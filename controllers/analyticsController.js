@@ -0,0 +1,124 @@
+// backend/controllers/analyticsController.js
+const config = require('../config/analytics');
+const { buildPhotoFilter } = require('../utils/photoQuery');
+const { DAY_MS, assertTimezone } = require('../utils/timezone');
+const { createHttpError } = require('../utils/httpError');
+const { resolveUserScope } = require('../services/teamScope');
+const { cached } = require('../services/analyticsCache');
+const {
+    activityByPeriod,
+    leaderboard,
+    activityByHour,
+    accuracyDistribution,
+    activeUsers,
+    heatmap,
+} = require('../services/analytics');
+
+const LEADERBOARD_MAX = 100;
+
+// Without any date filter, analyse the last defaultRangeDays days
+const withDefaultRange = (query) => (query.date || query.from || query.to
+    ? query
+    : { ...query, from: new Date(Date.now() - config.defaultRangeDays * DAY_MS).toISOString() });
+
+// Same query, same caller scope => same cache entry
+const cacheKeyFor = (name, req) => {
+    const scopeKey = req.user.role === 'admin' ? 'admin' : `${req.user.role}:${req.user.id}`;
+    const query = Object.keys(req.query).sort().map((key) => [key, req.query[key]]);
+    return `${name}|${scopeKey}|${JSON.stringify(query)}`;
+};
+
+/**
+ * Wrap an analytics computation into a route handler: builds the scoped photo
+ * filter (same filters as GET /api/photos/all), caches the result briefly and
+ * reports cache hits in the X-Cache header.
+ * `compute(filter, req)` resolves with the response body.
+ */
+const analyticsEndpoint = (name, compute) => async (req, res) => {
+    try {
+        const { value, hit } = await cached(cacheKeyFor(name, req), async () => {
+            const filter = buildPhotoFilter(withDefaultRange(req.query), { scopeUserIds: await resolveUserScope(req.user) });
+            return { generatedAt: new Date(), ...(await compute(filter, req)) };
+        });
+        res.set('X-Cache', hit ? 'HIT' : 'MISS');
+        res.json(value);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error(`Error computing ${name} analytics:`, error);
+        res.status(500).json({ message: 'Server error computing analytics.' });
+    }
+};
+
+const timezoneOf = (req) => assertTimezone(req.query.timezone || config.timezone);
+
+const parseLimit = (value) => {
+    if (value === undefined || value === '') return 10;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LEADERBOARD_MAX) {
+        throw createHttpError(400, `limit must be an integer between 1 and ${LEADERBOARD_MAX}.`);
+    }
+    return limit;
+};
+
+// @desc    Photos per user per day, week or month
+// @route   GET /api/analytics/activity
+// @access  Private (Admin, Supervisor for their teams)
+// @query   interval=day|week|month (default day), timezone, photo filters (default: last 30 days)
+const getActivity = analyticsEndpoint('activity', async (filter, req) => {
+    const interval = req.query.interval || 'day';
+    const timezone = timezoneOf(req);
+    return { interval, timezone, periods: await activityByPeriod(filter, { interval, timezone }) };
+});
+
+// @desc    Users ranked by number of photos (with active days)
+// @route   GET /api/analytics/leaderboard
+// @access  Private (Admin, Supervisor for their teams)
+// @query   limit (default 10, max 100), timezone, photo filters
+const getLeaderboard = analyticsEndpoint('leaderboard', async (filter, req) => {
+    const timezone = timezoneOf(req);
+    return { timezone, users: await leaderboard(filter, { timezone, limit: parseLimit(req.query.limit) }) };
+});
+
+// @desc    Photos per local hour of the day
+// @route   GET /api/analytics/hourly
+// @access  Private (Admin, Supervisor for their teams)
+// @query   timezone, photo filters
+const getHourlyActivity = analyticsEndpoint('hourly', async (filter, req) => {
+    const timezone = timezoneOf(req);
+    return { timezone, hours: await activityByHour(filter, { timezone }) };
+});
+
+// @desc    Distribution of reported GPS accuracy
+// @route   GET /api/analytics/accuracy
+// @access  Private (Admin, Supervisor for their teams)
+// @query   photo filters
+const getAccuracyDistribution = analyticsEndpoint('accuracy', (filter) => accuracyDistribution(filter));
+
+// @desc    Active versus inactive users over the period
+// @route   GET /api/analytics/users
+// @access  Private (Admin, Supervisor for their teams)
+// @query   photo filters; without userId(s), every user with the 'user' role (or the supervisor's team members)
+const getActiveUsers = analyticsEndpoint('users', (filter) => activeUsers(filter, filter.userId ? { _id: filter.userId } : { role: 'user' }));
+
+// @desc    Photo density in a bounding box, binned by geohash or a fixed grid
+// @route   GET /api/analytics/heatmap
+// @access  Private (Admin, Supervisor for their teams)
+// @query   bbox (required), mode=geohash|grid, precision (geohash, 1-9, default 5),
+//          cellSize (grid, degrees), photo filters
+const getHeatmap = analyticsEndpoint('heatmap', (filter, req) => heatmap(filter, {
+    bbox: req.query.bbox,
+    mode: req.query.mode,
+    precision: req.query.precision,
+    cellSize: req.query.cellSize,
+}));
+
+module.exports = {
+    getActivity,
+    getLeaderboard,
+    getHourlyActivity,
+    getAccuracyDistribution,
+    getActiveUsers,
+    getHeatmap,
+};
@@ -0,0 +1,125 @@
+// backend/controllers/auditController.js
+const AuditLog = require('../models/AuditLog');
+const { createHttpError } = require('../utils/httpError');
+const { parsePageOptions, findPage } = require('../utils/pagination');
+const { toCsvLine, writeChunk } = require('../utils/exportFormats');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const parseDate = (value, label) => {
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) {
+        throw createHttpError(400, `Invalid ${label} date format.`);
+    }
+    return parsed;
+};
+
+/**
+ * Build the audit log filter from the query string.
+ *   actor        user ID of whoever performed the action
+ *   action       exact action(s), comma-separated; "user.*" matches a prefix
+ *   targetType   e.g. user, photo
+ *   targetId     ID of the affected document
+ *   from, to     date range on createdAt
+ */
+const buildAuditFilter = ({ actor, action, targetType, targetId, from, to } = {}) => {
+    const filter = {};
+
+    if (actor) {
+        if (!OBJECT_ID_PATTERN.test(actor)) throw createHttpError(400, 'Invalid actor ID format.');
+        filter.actor = actor;
+    }
+    if (targetId) {
+        if (!OBJECT_ID_PATTERN.test(targetId)) throw createHttpError(400, 'Invalid target ID format.');
+        filter.targetId = targetId;
+    }
+    if (targetType) {
+        filter.targetType = String(targetType);
+    }
+    if (action) {
+        const actions = String(action).split(',').map((item) => item.trim()).filter(Boolean);
+        const conditions = actions.map((item) => (item.endsWith('.*')
+            ? { action: { $regex: `^${item.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` } }
+            : { action: item }));
+        if (conditions.length === 1) Object.assign(filter, conditions[0]);
+        else if (conditions.length > 1) filter.$or = conditions;
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = parseDate(from, 'from');
+        if (to) filter.createdAt.$lte = parseDate(to, 'to');
+    }
+
+    return filter;
+};
+
+// @desc    List audit log entries (cursor-paginated, newest first)
+// @route   GET /api/audit
+// @access  Private/Admin
+// @query   actor, action, targetType, targetId, from, to, limit, sort, cursor
+const getAuditLogs = async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+        const { items, ...pageInfo } = await findPage(AuditLog, filter, parsePageOptions(req.query), {
+            field: 'createdAt',
+            decorate: (query) => query.lean(),
+        });
+        res.json({ entries: items, ...pageInfo });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({ message: 'Server error fetching audit logs.' });
+    }
+};
+
+const AUDIT_CSV_HEADERS = ['Time', 'Actor', 'Actor Email', 'Action', 'Target Type', 'Target ID', 'Before', 'After', 'Metadata', 'IP', 'User Agent'];
+
+const toJsonCell = (value) => (value === undefined || value === null ? '' : JSON.stringify(value));
+
+// @desc    Export audit log entries as CSV (same filters as the listing)
+// @route   GET /api/audit/export
+// @access  Private/Admin
+const exportAuditLogs = async (req, res) => {
+    let filter;
+    try {
+        filter = buildAuditFilter(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ message: error.message });
+    }
+
+    const cursor = AuditLog.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    try {
+        res.header('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment('audit_log.csv');
+        if (!(await writeChunk(res, toCsvLine(AUDIT_CSV_HEADERS)))) return;
+        for await (const entry of cursor) {
+            const written = await writeChunk(res, toCsvLine([
+                entry.createdAt.toISOString(),
+                entry.actorName,
+                entry.actorEmail,
+                entry.action,
+                entry.targetType,
+                entry.targetId ? String(entry.targetId) : '',
+                toJsonCell(entry.before),
+                toJsonCell(entry.after),
+                toJsonCell(entry.metadata),
+                entry.ip,
+                entry.userAgent,
+            ]));
+            if (!written) return; // Client gone
+        }
+        res.end();
+    } catch (error) {
+        console.error('Error exporting audit logs:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: 'Server error exporting audit logs.' });
+        }
+        res.destroy(error);
+    }
+};
+
+module.exports = { getAuditLogs, exportAuditLogs };
@@ -1,28 +1,98 @@
 
-
 /**************************************************************************
  * Authentication Controller
  - Enhanced with Access & Refresh Token Mechanism
+ - One Session per signed-in device (see models/Session.js)
 ***************************************************************************/
 
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator'); 
+const { body, param, validationResult } = require('express-validator'); 
+const { recordAudit } = require('../services/audit');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginProtection');
+const { passwordPolicyValidator } = require('../services/passwordPolicy');
+const { sendMail, appUrl } = require('../services/mailer');
+const totp = require('../services/totp');
+const twoFactorConfig = require('../config/twoFactor');
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TWO_FACTOR_CHALLENGE_AUDIENCE = '2fa-challenge';
+const TWO_FACTOR_SELECT = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Strict',
+};
 
-// Helper to generate Access Token (short-lived)
-const generateAccessToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
+// Helper to generate Access Token (short-lived), bound to a session
+const generateAccessToken = (id, sid) => {
+    return jwt.sign({ id, sid }, process.env.JWT_SECRET, {
         expiresIn: '15m', // Access token expires in 15 minutes
     });
 };
 
-// Helper to generate Refresh Token (long-lived)
-const generateRefreshToken = (id) => {
-    return jwt.sign({ id }, process.env.REFRESH_TOKEN_SECRET, {
+// Helper to generate Refresh Token (long-lived), bound to a session
+const generateRefreshToken = (id, sid) => {
+    return jwt.sign({ id, sid }, process.env.REFRESH_TOKEN_SECRET, {
         expiresIn: '7d', // Refresh token expires in 7 days
     });
 };
+
+// Issue a fresh refresh token for a session, store its hash and set the cookie.
+// Resolves with a new access token for the same session.
+const rotateSessionTokens = async (req, res, session) => {
+    const refreshToken = generateRefreshToken(session.userId, session._id);
+    session.setRefreshToken(refreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    session.ip = req.ip;
+    session.userAgent = req.get('user-agent');
+    await session.save();
+
+    res.cookie('refreshToken', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+    return generateAccessToken(session.userId, session._id);
+};
+
+const clearRefreshCookie = (res) => res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+
+// Short-lived token proving the password step passed; only accepted by POST /login/2fa
+const generateTwoFactorChallenge = (id) => {
+    return jwt.sign({ id }, process.env.JWT_SECRET, {
+        expiresIn: twoFactorConfig.challengeTtlSeconds,
+        audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+    });
+};
+
+// Start a new device session and answer the login request with its tokens
+const completeLogin = async (req, res, user, metadata = {}) => {
+    await recordLoginSuccess(req, user.name);
+
+    // New device session (other devices stay signed in)
+    const session = new Session({ userId: user._id });
+    const accessToken = await rotateSessionTokens(req, res, session);
+
+    await recordAudit(req, {
+        action: 'auth.login',
+        actor: user,
+        target: { type: 'user', id: user._id },
+        metadata: { sessionId: session._id, ...metadata },
+    });
+
+    res.json({
+        _id: user._id,
+        name: user.name, // The username is stored in 'name'
+        email: user.email,
+        role: user.role,
+        token: accessToken,
+        // When true, only profile and change-password are usable until the password is changed
+        mustChangePassword: user.mustChangePassword,
+        // When true, only profile and the 2FA setup routes are usable until 2FA is enabled
+        twoFactorSetupRequired: user.requiresTwoFactorSetup(),
+    });
+};
+
 const validateLogin = [
     body('username')
         .trim()
@@ -45,32 +115,37 @@ const loginUser = async (req, res) => {
     const { username, password } = req.body;
 
     try {
-       
+        // Per-account / per-IP brute-force protection (may delay or refuse)
+        const { blocked, retryAfterSeconds } = await checkLoginAllowed(req, username);
+        if (blocked) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+            });
+        }
+
         const user = await User.findOne({ name: username });
 
         if (user && (await user.matchPassword(password))) {
-            const accessToken = generateAccessToken(user._id);
-            const refreshToken = generateRefreshToken(user._id);
-
-            const hashedRefreshToken = await bcrypt.hash(refreshToken, 10);
-            user.refreshToken = hashedRefreshToken;
-            await user.save();
-
-            res.cookie('refreshToken', refreshToken, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: 'Strict',
-                maxAge: 7 * 24 * 60 * 60 * 1000,
+            // Second step required: no tokens until the TOTP / recovery code is checked
+            if (user.twoFactorEnabled) {
+                return res.json({
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallenge(user._id),
+                    expiresIn: twoFactorConfig.challengeTtlSeconds,
+                });
+            }
+
+            await completeLogin(req, res, user);
+        } else {
+            await recordLoginFailure(req, username);
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: user ? { type: 'user', id: user._id } : {},
+                metadata: { username },
             });
 
-            res.json({
-                _id: user._id,
-                name: user.name, // The username is stored in 'name'
-                email: user.email,
-                role: user.role,
-                token: accessToken,
-            });
-        } else {
             // *** CHANGE: Update error message to reflect 'username' ***
             res.status(401).json({ message: 'Invalid username or password' });
         }
@@ -80,6 +155,79 @@ const loginUser = async (req, res) => {
     }
 };
 
+// Either a 6-digit TOTP code or a recovery code must be given
+const requireSecondFactor = body('code').custom((code, { req }) => {
+    if (!code && !req.body.recoveryCode) {
+        throw new Error('An authentication code or a recovery code is required.');
+    }
+    return true;
+});
+
+const validateTwoFactorLogin = [
+    body('challengeToken')
+        .notEmpty().withMessage('Challenge token is required.'),
+    requireSecondFactor,
+    body('code')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits.'),
+    body('recoveryCode')
+        .optional({ values: 'falsy' })
+        .isString().withMessage('Invalid recovery code.'),
+];
+
+// @desc    Second login step: exchange a challenge token and a TOTP/recovery code for tokens
+// @route   POST /api/auth/login/2fa
+// @access  Public (uses the challenge token from POST /login)
+const loginTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: TWO_FACTOR_CHALLENGE_AUDIENCE });
+    } catch (err) {
+        return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    try {
+        const user = await User.findById(decoded.id).select(TWO_FACTOR_SELECT);
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const { blocked, retryAfterSeconds } = await checkLoginAllowed(req, user.name);
+        if (blocked) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+            });
+        }
+
+        const method = user.verifySecondFactor({ code, recoveryCode });
+        if (!method) {
+            await recordLoginFailure(req, user.name);
+            await recordAudit(req, {
+                action: 'auth.2fa_failed',
+                actor: null,
+                target: { type: 'user', id: user._id },
+                metadata: { method: code ? 'totp' : 'recovery' },
+            });
+            return res.status(401).json({ message: 'Invalid authentication code' });
+        }
+        await user.save(); // Remembers the used time step / consumed recovery code
+
+        await completeLogin(req, res, user, { secondFactor: method });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ message: 'Server error during login.' });
+    }
+};
 
 // @desc    Get user profile
 // @route   GET /api/auth/profile
@@ -89,10 +237,13 @@ const getUserProfile = async (req, res) => {
     // We already have the user details from the JWT
     if (req.user) {
         res.json({
-            _id: req.user._id,
+            _id: req.user.id,
             name: req.user.name,
             email: req.user.email,
             role: req.user.role,
+            mustChangePassword: req.user.mustChangePassword,
+            twoFactorEnabled: req.user.twoFactorEnabled,
+            twoFactorSetupRequired: req.user.twoFactorSetupRequired,
         });
     } else {
         // This case should ideally not be reached if 'protect' middleware functions correctly
@@ -100,7 +251,7 @@ const getUserProfile = async (req, res) => {
     }
 };
 
-// @desc    Refresh Access Token
+// @desc    Refresh Access Token (rotates the session's refresh token)
 // @route   POST /api/auth/refresh
 // @access  Public (uses refresh token from cookie)
 const refreshAccessToken = async (req, res) => {
@@ -116,42 +267,33 @@ const refreshAccessToken = async (req, res) => {
         // Verify refresh token
         const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
 
-        // Find user by ID and explicitly select the refreshToken field
-        const user = await User.findById(decoded.id).select('+refreshToken');
+        const session = decoded.sid
+            ? await Session.findOne({ _id: decoded.sid, userId: decoded.id }).select('+refreshTokenHash')
+            : null;
 
-        if (!user) {
-            return res.status(403).json({ message: 'Forbidden: User not found with refresh token' });
+        if (!session || !session.isActive()) {
+            clearRefreshCookie(res);
+            return res.status(403).json({ message: 'Forbidden: Session expired or revoked' });
         }
 
-        // Compare hashed refresh token from cookie with the one stored in DB
-        const match = await bcrypt.compare(refreshToken, user.refreshToken);
-
-        if (!match) {
-            // Refresh token reuse detected (potential attack), clear it from DB and cookie
-            console.warn(`Refresh token reuse detected for user ${user.email}. Clearing token.`);
-            user.refreshToken = '';
-            await user.save();
-            res.clearCookie('refreshToken', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Strict' });
+        if (!session.isRefreshTokenValid(refreshToken)) {
+            // An already-rotated token was replayed: revoke this device's session only
+            console.warn(`Refresh token reuse detected for session ${session._id}. Revoking it.`);
+            session.revokedAt = new Date();
+            session.revokedReason = 'refresh_token_reuse';
+            await session.save();
+            clearRefreshCookie(res);
             return res.status(403).json({ message: 'Forbidden: Invalid refresh token' });
         }
 
-        // Generate a new access token
-        const newAccessToken = generateAccessToken(user._id);
-
-        // Optionally, rotate the refresh token for enhanced security
-        // Invalidate old refresh token, generate new one, save new one
-        const newRefreshToken = generateRefreshToken(user._id);
-        const hashedNewRefreshToken = await bcrypt.hash(newRefreshToken, 10);
-        user.refreshToken = hashedNewRefreshToken;
-        await user.save();
+        const user = await User.findById(decoded.id);
+        if (!user) {
+            clearRefreshCookie(res);
+            return res.status(403).json({ message: 'Forbidden: User not found with refresh token' });
+        }
 
-        // Set the new refresh token as an HTTP-only cookie
-        res.cookie('refreshToken', newRefreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'Strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        });
+        // Rotate: the old refresh token stops working as soon as the new one is stored
+        const newAccessToken = await rotateSessionTokens(req, res, session);
 
         res.json({
             _id: user._id,
@@ -164,7 +306,7 @@ const refreshAccessToken = async (req, res) => {
     } catch (error) {
         console.error('Refresh token error:', error);
         // Clear expired or invalid refresh token cookie
-        res.clearCookie('refreshToken', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Strict' });
+        clearRefreshCookie(res);
         if (error.name === 'TokenExpiredError') {
             return res.status(403).json({ message: 'Refresh token expired', expired: true });
         }
@@ -172,41 +314,516 @@ const refreshAccessToken = async (req, res) => {
     }
 };
 
-// @desc    Logout user & clear tokens
+// @desc    Logout user & revoke the current device session
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public (uses refresh token from cookie)
 const logoutUser = async (req, res) => {
     const cookies = req.cookies;
     if (!cookies?.refreshToken) {
         return res.sendStatus(204); // No content to send, but successful (no refresh token to clear)
     }
 
-    const refreshToken = cookies.refreshToken;
+    try {
+        const decoded = jwt.verify(cookies.refreshToken, process.env.REFRESH_TOKEN_SECRET);
+        if (decoded.sid) {
+            await Session.updateOne(
+                Session.activeFilter({ _id: decoded.sid, userId: decoded.id }),
+                { revokedAt: new Date(), revokedReason: 'logout' }
+            );
+        }
+    } catch (error) {
+        // If refresh token is invalid/expired during logout, just clear cookie
+    }
+
+    clearRefreshCookie(res);
+    res.sendStatus(204); // No content
+};
 
-    // Find user by refresh token (implicitly by matching hashed token in DB)
-    const user = await User.findOne({ refreshToken: await bcrypt.hash(refreshToken, 10) }).select('+refreshToken'); // Need to find by comparing hashed values, or adjust logic
+// Validation for self-service password change
+const validateChangePassword = [
+    body('currentPassword')
+        .notEmpty().withMessage('Current password is required.'),
+    body('newPassword')
+        .custom(passwordPolicyValidator),
+];
+
+// Validation for password reset request
+const validateForgotPassword = [
+    body('email')
+        .trim()
+        .isEmail().withMessage('Please enter a valid email address.')
+        .normalizeEmail(),
+];
+
+// Validation for password reset with an emailed token
+const validateResetPassword = [
+    body('token')
+        .isHexadecimal().withMessage('Invalid reset token.')
+        .isLength({ min: 64, max: 64 }).withMessage('Invalid reset token.'),
+    body('newPassword')
+        .custom(passwordPolicyValidator),
+];
+
+// @desc    Change own password (also clears an admin-required change)
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
 
-    // A more robust way to find user to clear refresh token:
-    // Decode the token first to get user ID, then find by ID.
-    let decodedRefreshToken;
     try {
-        decodedRefreshToken = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+        const user = await User.findById(req.user.id).select('+passwordHistory');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!(await user.matchPassword(currentPassword))) {
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        if (await user.isPasswordReused(newPassword)) {
+            return res.status(400).json({ message: 'New password must not match one of your recent passwords.' });
+        }
+
+        user.setPassword(newPassword);
+        user.mustChangePassword = false;
+        await user.save();
+
+        // Sign out every other device; this one stays signed in
+        await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+        await recordAudit(req, {
+            action: 'auth.password_change',
+            target: { type: 'user', id: user._id },
+        });
+
+        res.json({ message: 'Password changed successfully' });
     } catch (error) {
-        // If refresh token is invalid/expired during logout, just clear cookie
-        res.clearCookie('refreshToken', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Strict' });
-        return res.sendStatus(204);
+        console.error('Change password error:', error);
+        res.status(500).json({ message: 'Server error while changing password.' });
     }
+};
+
+// Names are stored HTML-escaped (express-validator's escape(), see
+// userController.js); plain-text emails need them back as typed
+const unescapeHtml = (value) => String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#x2F;/g, '/')
+    .replace(/&#x5C;/g, '\\')
+    .replace(/&#96;/g, '`')
+    .replace(/&amp;/g, '&');
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same answer whether or not the email exists (no account enumeration)
+    const genericResponse = { message: 'If that email is registered, a reset link has been sent.' };
 
-    const userToLogout = await User.findById(decodedRefreshToken.id).select('+refreshToken');
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        const resetUrl = `${appUrl()}/reset-password?token=${token}`;
+        const expiresInMinutes = Math.round((user.passwordResetExpires - Date.now()) / 60000);
+        // A failed send must not answer differently from an unknown email
+        let mailError;
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+                `Hello ${unescapeHtml(user.name)},`,
+                '',
+                `Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes.`,
+                '',
+                resetUrl,
+                '',
+                'If you did not ask for this, you can ignore this email.',
+            ].join('\n'),
+        }).catch((error) => {
+            mailError = error.message;
+            console.error('Password reset email failed:', error);
+        });
+
+        await recordAudit(req, {
+            action: 'auth.password_reset_requested',
+            actor: null,
+            target: { type: 'user', id: user._id },
+            metadata: mailError ? { mailError } : undefined,
+        });
 
-    if (userToLogout) {
-        userToLogout.refreshToken = ''; // Clear refresh token in DB
-        await userToLogout.save();
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error while requesting a password reset.' });
     }
+};
 
-    res.clearCookie('refreshToken', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Strict' }); // Clear cookie
-    res.sendStatus(204); // No content
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, newPassword } = req.body;
+
+    try {
+        const user = await User.findOne({
+            passwordResetTokenHash: User.hashResetToken(token),
+            passwordResetExpires: { $gt: new Date() },
+        }).select('+passwordHistory +passwordResetTokenHash +passwordResetExpires');
+
+        if (!user) {
+            return res.status(400).json({ message: 'Reset link is invalid or has expired.' });
+        }
+        if (await user.isPasswordReused(newPassword)) {
+            return res.status(400).json({ message: 'New password must not match one of your recent passwords.' });
+        }
+
+        user.setPassword(newPassword); // Also invalidates the reset token
+        user.mustChangePassword = false;
+        await user.save();
+
+        // Whoever had the old password is signed out everywhere
+        await Session.revokeAllForUser(user._id, 'password_reset');
+        await recordAudit(req, {
+            action: 'auth.password_reset',
+            actor: user,
+            target: { type: 'user', id: user._id },
+        });
+
+        res.json({ message: 'Password has been reset. Please log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error while resetting password.' });
+    }
 };
 
+const validateTwoFactorSetup = [
+    body('password')
+        .notEmpty().withMessage('Password is required.'),
+];
 
-module.exports = { loginUser, getUserProfile, refreshAccessToken, logoutUser ,validateLogin};
+const validateTwoFactorEnable = [
+    body('code')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits.'),
+];
+
+const validateTwoFactorDisable = [
+    body('password')
+        .notEmpty().withMessage('Password is required.'),
+    requireSecondFactor,
+];
+
+// @desc    Get the current user's 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({
+            enabled: user.twoFactorEnabled,
+            enabledAt: user.twoFactorEnabledAt,
+            required: user.role === 'admin' && twoFactorConfig.requiredForAdmins,
+            recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ message: 'Server error fetching two-factor status.' });
+    }
+};
+
+// @desc    Start 2FA enrollment: new secret as otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await user.matchPassword(req.body.password))) {
+            return res.status(401).json({ message: 'Password is incorrect' });
+        }
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        // Not active until confirmed with a code from the app (POST /2fa/enable)
+        const secret = totp.generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+        res.json({
+            secret,
+            otpauthUri,
+            qrCode: await totp.buildQrCodeDataUrl(otpauthUri), // data:image/png;base64,...
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ message: 'Server error during two-factor setup.' });
+    }
+};
+
+// @desc    Finish 2FA enrollment with a code from the app; returns recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+
+        const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Invalid authentication code' });
+        }
+
+        const { codes, hashes } = totp.generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorEnabledAt = new Date();
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'auth.2fa_enable',
+            target: { type: 'user', id: user._id },
+        });
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ message: 'Server error enabling two-factor authentication.' });
+    }
+};
+
+// @desc    Turn 2FA off (not allowed while it is required for the account)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (user.role === 'admin' && twoFactorConfig.requiredForAdmins) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts.' });
+        }
+        if (!(await user.matchPassword(req.body.password))) {
+            return res.status(401).json({ message: 'Password is incorrect' });
+        }
+        if (!user.verifySecondFactor({ code: req.body.code, recoveryCode: req.body.recoveryCode })) {
+            return res.status(401).json({ message: 'Invalid authentication code' });
+        }
+
+        user.clearTwoFactor();
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'auth.2fa_disable',
+            target: { type: 'user', id: user._id },
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ message: 'Server error disabling two-factor authentication.' });
+    }
+};
+
+// @desc    Replace all recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!user.verifySecondFactor({ code: req.body.code })) {
+            return res.status(401).json({ message: 'Invalid authentication code' });
+        }
+
+        const { codes, hashes } = totp.generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'auth.2fa_recovery_codes',
+            target: { type: 'user', id: user._id },
+        });
+
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Recovery code error:', error);
+        res.status(500).json({ message: 'Server error generating recovery codes.' });
+    }
+};
+
+// Validation for session ID in URL parameters
+const validateSessionIdParam = [
+    param('id').isMongoId().withMessage('Invalid Session ID format.'),
+];
+
+// @desc    List the current user's active sessions (one per device)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+    try {
+        const sessions = await Session.find(Session.activeFilter({ userId: req.user.id }))
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json(sessions.map((session) => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: String(session._id) === String(req.user.sessionId),
+        })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Server error fetching sessions.' });
+    }
+};
+
+// @desc    Revoke one of the current user's sessions (sign a device out)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await Session.updateOne(
+            Session.activeFilter({ _id: req.params.id, userId: req.user.id }),
+            { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'session.revoke',
+            target: { type: 'session', id: req.params.id },
+        });
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Server error revoking session.' });
+    }
+};
+
+// @desc    Revoke all of the current user's sessions except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const revoked = await Session.revokeAllForUser(req.user.id, 'revoked_by_user', req.user.sessionId);
+        await recordAudit(req, {
+            action: 'session.revoke_others',
+            target: { type: 'user', id: req.user.id },
+            metadata: { revoked },
+        });
+        res.json({ message: 'Other sessions revoked', revoked });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ message: 'Server error revoking sessions.' });
+    }
+};
+
+module.exports = {
+    loginUser,
+    validateTwoFactorLogin,
+    loginTwoFactor,
+    getUserProfile,
+    refreshAccessToken,
+    logoutUser,
+    validateLogin,
+    validateChangePassword,
+    validateForgotPassword,
+    validateResetPassword,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    validateTwoFactorSetup,
+    validateTwoFactorEnable,
+    validateTwoFactorDisable,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    validateSessionIdParam,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions,
+};
@@ -0,0 +1,131 @@
+// backend/controllers/feedController.js
+const Team = require('../models/Team');
+const { OBJECT_ID_PATTERN } = require('../utils/photoQuery');
+const { buildAreaMatcher } = require('../utils/geo');
+const { createHttpError } = require('../utils/httpError');
+const { resolveUserScope } = require('../services/teamScope');
+const { subscribe } = require('../services/events');
+
+const FEED_EVENT_TYPES = ['photo.created', 'photo.deleted'];
+const HEARTBEAT_MS = 25 * 1000;
+// Drop clients that stop reading instead of buffering for them forever
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Turn the feed query into an event predicate:
+ *   events        photo.created,photo.deleted (default: both)
+ *   userId(s)     only these users
+ *   teamId        only members of this team (supervisors: one of their teams)
+ *   near+radius | bbox | polygon   only photos inside the area (see utils/geo.js)
+ * Supervisors never get events of users outside their teams.
+ */
+const buildFeedMatcher = async (query, user) => {
+    const types = query.events ? toList(query.events) : FEED_EVENT_TYPES;
+    if (types.some((type) => !FEED_EVENT_TYPES.includes(type))) {
+        throw createHttpError(400, `events must be a list of: ${FEED_EVENT_TYPES.join(', ')}.`);
+    }
+
+    const userIds = [...(query.userId ? toList(query.userId) : []), ...(query.userIds ? toList(query.userIds) : [])];
+    if (userIds.some((id) => !OBJECT_ID_PATTERN.test(id))) {
+        throw createHttpError(400, 'Invalid User ID format.');
+    }
+
+    let teamMembers = null;
+    if (query.teamId) {
+        if (!OBJECT_ID_PATTERN.test(query.teamId)) {
+            throw createHttpError(400, 'Invalid Team ID format.');
+        }
+        const teamQuery = { _id: query.teamId };
+        if (user.role !== 'admin') {
+            teamQuery.supervisors = user.id;
+        }
+        const team = await Team.findOne(teamQuery).select('members').lean();
+        if (!team) {
+            throw createHttpError(404, 'Team not found');
+        }
+        teamMembers = new Set(team.members.map(String));
+    }
+
+    const scope = await resolveUserScope(user);
+    const scopeSet = scope && new Set(scope);
+    const userSet = userIds.length ? new Set(userIds) : null;
+    const inArea = buildAreaMatcher(query);
+
+    return ({ type, data }) => {
+        if (!types.includes(type)) return false;
+        const userId = String(data.userId);
+        if (scopeSet && !scopeSet.has(userId)) return false;
+        if (userSet && !userSet.has(userId)) return false;
+        if (teamMembers && !teamMembers.has(userId)) return false;
+        return !inArea || inArea(data.latitude, data.longitude);
+    };
+};
+
+// @desc    Live feed of photo events over Server-Sent Events
+// @route   GET /api/feed
+// @access  Private (Admin, Supervisor for their teams); token via Authorization header or ?access_token=
+// @query   events, userId(s), teamId, near+radius | bbox | polygon (see buildFeedMatcher)
+// @events  photo.created, photo.deleted (data: the photo summary), token-expired
+const streamFeed = async (req, res) => {
+    let matches;
+    try {
+        matches = await buildFeedMatcher(req.query, req.user);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error opening live feed:', error);
+        return res.status(500).json({ message: 'Server error opening live feed.' });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        res.end();
+    };
+
+    const send = (type, data, id) => {
+        if (closed) return;
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            close();
+            return;
+        }
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribe((event) => {
+        if (matches(event)) {
+            send(event.type, { ...event.data, occurredAt: event.occurredAt }, event.id);
+        }
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    // The stream lives only as long as the access token; the client reconnects with a fresh one
+    const expiry = setTimeout(() => {
+        send('token-expired', { message: 'Access token expired; reconnect with a new token.' });
+        close();
+    }, Math.max(req.user.tokenExpiresAt - Date.now(), 0));
+
+    req.on('close', close);
+};
+
+module.exports = { FEED_EVENT_TYPES, streamFeed };
@@ -0,0 +1,73 @@
+// backend/controllers/geocodeController.js
+const { body, validationResult } = require('express-validator');
+const { recordAudit } = require('../services/audit');
+const {
+    BACKFILL_SCOPES,
+    startGeocodeBackfill,
+    cancelGeocodeBackfill,
+    getGeocodeBackfillStatus,
+} = require('../services/geocoding/backfill');
+
+// Validation for starting a backfill run
+const validateGeocodeBackfill = [
+    body('scope')
+        .optional()
+        .isIn(BACKFILL_SCOPES).withMessage(`scope must be one of: ${BACKFILL_SCOPES.join(', ')}.`),
+    body('limit')
+        .optional()
+        .isInt({ min: 1, max: 100000 }).withMessage('limit must be an integer between 1 and 100000.')
+        .toInt(),
+];
+
+// @desc    Start reverse geocoding existing photos in the background
+// @route   POST /api/photos/geocode/backfill
+// @access  Private (Admin)
+// @body    scope=missing|all (default missing), limit (default 1000)
+const startBackfill = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const status = await startGeocodeBackfill({
+            scope: req.body.scope,
+            limit: req.body.limit,
+            startedBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'photo.geocode_backfill',
+            target: { type: 'photo' },
+            metadata: { scope: status.scope, limit: status.limit, pending: status.pending, provider: status.provider },
+        });
+
+        res.status(202).json(status);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error starting geocoding backfill:', error);
+        res.status(500).json({ message: 'Server error starting geocoding backfill.' });
+    }
+};
+
+// @desc    Progress of the current (or last) geocoding backfill
+// @route   GET /api/photos/geocode/backfill
+// @access  Private (Admin)
+const getBackfillStatus = (req, res) => {
+    res.json(getGeocodeBackfillStatus());
+};
+
+// @desc    Stop the running geocoding backfill after the current photo
+// @route   DELETE /api/photos/geocode/backfill
+// @access  Private (Admin)
+const cancelBackfill = (req, res) => {
+    try {
+        res.json(cancelGeocodeBackfill());
+    } catch (error) {
+        res.status(error.status || 500).json({ message: error.message });
+    }
+};
+
+module.exports = { validateGeocodeBackfill, startBackfill, getBackfillStatus, cancelBackfill };
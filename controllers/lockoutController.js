@@ -0,0 +1,65 @@
+// backend/controllers/lockoutController.js
+const LoginThrottle = require('../models/LoginThrottle');
+const { param, validationResult } = require('express-validator');
+const { recordAudit } = require('../services/audit');
+
+// Validation for lockout ID in URL parameters
+const validateLockoutIdParam = [
+    param('id').isMongoId().withMessage('Invalid lockout ID format.'),
+];
+
+// @desc    List failed-login counters and lockouts (Admin only)
+// @route   GET /api/auth/lockouts
+// @access  Private/Admin
+// @query   lockedOnly=true to only show accounts/IPs currently locked, kind=account|ip
+const getLockouts = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.lockedOnly === 'true') {
+            query.lockedUntil = { $gt: new Date() };
+        }
+        if (['account', 'ip'].includes(req.query.kind)) {
+            query.kind = req.query.kind;
+        }
+
+        const throttles = await LoginThrottle.find(query).sort({ lockedUntil: -1, lastFailureAt: -1 }).lean();
+        const now = new Date();
+        res.json(throttles.map((throttle) => ({
+            ...throttle,
+            locked: Boolean(throttle.lockedUntil && throttle.lockedUntil > now),
+        })));
+    } catch (error) {
+        console.error('Error fetching lockouts:', error);
+        res.status(500).json({ message: 'Server error fetching lockouts.' });
+    }
+};
+
+// @desc    Clear a lockout and its failure counter (Admin only)
+// @route   DELETE /api/auth/lockouts/:id
+// @access  Private/Admin
+const clearLockout = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const throttle = await LoginThrottle.findByIdAndDelete(req.params.id);
+        if (!throttle) {
+            return res.status(404).json({ message: 'Lockout not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'auth.unlock',
+            before: throttle,
+            metadata: { kind: throttle.kind, identifier: throttle.identifier, reason: 'cleared_by_admin' },
+        });
+
+        res.json({ message: 'Lockout cleared' });
+    } catch (error) {
+        console.error('Error clearing lockout:', error);
+        res.status(500).json({ message: 'Server error clearing lockout.' });
+    }
+};
+
+module.exports = { validateLockoutIdParam, getLockouts, clearLockout };
@@ -1,13 +1,75 @@
 // backend/controllers/photoController.js
 const Photo = require('../models/Photo');
-const cloudinary = require('../config/cloudinary');
-const { Readable } = require('stream');
+const Site = require('../models/Site');
 // *** NEW: Import check, validationResult from express-validator ***
 const { body, validationResult } = require('express-validator');
+const { buildPhotoFilter } = require('../utils/photoQuery');
+const { resolveUserScope } = require('../services/teamScope');
+const { parsePageOptions, findPage } = require('../utils/pagination');
+const { FORMATS, PHOTO_COLUMNS, streamCursor, toCsvLine } = require('../utils/exportFormats');
+const { putPhoto, deletePhotoAsset, getPhotoStream } = require('../services/storage');
+const { extractExif, compareWithReported } = require('../services/exif');
+const { recordAudit } = require('../services/audit');
+const { lookupAddressFields } = require('../services/geocoding');
+const geocodingConfig = require('../config/geocoding');
+const { publishEvent } = require('../services/events');
+const { claimTaskForVisit, releaseTask, linkTaskPhoto } = require('../services/tasks');
+const { computeHash } = require('../services/perceptualHash');
+const { hammingDistance, hashBands, maxDistance } = require('../utils/hashBands');
+const archiver = require('archiver');
+const { once } = require('events');
+const path = require('path');
 
-// Helper to convert buffer to data URI (unchanged)
-const bufferToDataUri = (buffer, mimetype) =>
-  `data:${mimetype};base64,${buffer.toString('base64')}`;
+// Fields returned by the listing endpoints
+const LIST_FIELDS = 'imageUrl latitude longitude accuracy address addressComponents addressSource timestamp capturedAt receivedAt clientId userId site geofenceStatus exif exifCheck perceptualHash duplicateOf duplicateDistance task review tags comments';
+
+// Fetch one page of photos ordered by (timestamp, _id) plus the total match count
+const findPhotoPage = async (filter, pageOptions, populateUser) => {
+    const { items, ...pageInfo } = await findPage(Photo, filter, pageOptions, {
+        decorate: (query) => {
+            query.select(LIST_FIELDS)
+                .populate('site', 'name')
+                .populate('review.reviewedBy', 'name')
+                .populate('comments.author', 'name role')
+                .lean();
+            return populateUser ? query.populate('userId', 'name email') : query;
+        },
+    });
+    return { photos: items, ...pageInfo };
+};
+
+// Accept device capture times up to this far in the future (clock drift)
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Reject offline photos captured longer ago than this
+const SYNC_MAX_AGE_DAYS = Number(process.env.SYNC_MAX_AGE_DAYS) || 30;
+// Maximum number of photos in one sync batch
+const SYNC_MAX_ITEMS = 25;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Reason why a device capture time is not acceptable, or null
+const checkCapturedAt = (value) => {
+    const capturedAt = new Date(value);
+    if (isNaN(capturedAt.getTime())) {
+        return 'capturedAt must be a valid ISO 8601 date.';
+    }
+    if (capturedAt.getTime() > Date.now() + CAPTURE_CLOCK_SKEW_MS) {
+        return 'capturedAt cannot be in the future.';
+    }
+    if (capturedAt.getTime() < Date.now() - SYNC_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return `capturedAt cannot be older than ${SYNC_MAX_AGE_DAYS} days.`;
+    }
+    return null;
+};
+
+// Validate address: optional string, can be empty, but if present, sanitize it.
+// Shared by /upload and /sync so both store the same sanitized value.
+const addressRule = body('address')
+    .optional()
+    .isString().withMessage('Address must be a string.')
+    .trim() // Remove leading/trailing whitespace
+    .escape() // Escape HTML entities to prevent XSS if ever displayed directly
+    .isLength({ max: 500 }).withMessage('Address cannot be longer than 500 characters.');
 
 // *** NEW: Validation middleware for uploadPhoto ***
 const validateUploadPhoto = [
@@ -20,18 +82,168 @@ const validateUploadPhoto = [
     // Validate accuracy: must be a float or integer, non-negative
     body('accuracy')
         .isFloat({ min: 0 }).withMessage('Accuracy must be a non-negative number.'),
-    // Validate address: optional string, can be empty, but if present, sanitize it
-    body('address')
+    addressRule,
+    // Optional client-generated UUID making retries idempotent
+    body('clientId')
+        .optional()
+        .matches(UUID_PATTERN).withMessage('clientId must be a UUID.'),
+    // Optional visit task this photo completes (see models/Task.js)
+    body('taskId')
+        .optional()
+        .isMongoId().withMessage('Invalid Task ID format.'),
+    // Optional capture time taken on the device (ISO 8601)
+    body('capturedAt')
         .optional()
-        .isString().withMessage('Address must be a string.')
-        .trim() // Remove leading/trailing whitespace
-        .escape() // Escape HTML entities to prevent XSS if ever displayed directly
-        .isLength({ max: 500 }).withMessage('Address cannot be longer than 500 characters.'),
+        .custom((value) => {
+            const reason = checkCapturedAt(value);
+            if (reason) throw new Error(reason);
+            return true;
+        }),
 ];
 
+// Same rules as validateUploadPhoto, for the items of a sync batch.
+// Returns the reason the item is rejected, or null.
+const checkSyncItem = (item) => {
+    if (!item || typeof item !== 'object') return 'Item must be an object.';
+    if (!UUID_PATTERN.test(String(item.clientId || ''))) return 'clientId must be a UUID.';
+    const latitude = Number(item.latitude);
+    const longitude = Number(item.longitude);
+    const accuracy = Number(item.accuracy);
+    if (item.latitude === undefined || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        return 'Latitude must be a valid number between -90 and 90.';
+    }
+    if (item.longitude === undefined || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return 'Longitude must be a valid number between -180 and 180.';
+    }
+    if (item.accuracy === undefined || !Number.isFinite(accuracy) || accuracy < 0) {
+        return 'Accuracy must be a non-negative number.';
+    }
+    if (item.taskId !== undefined && !/^[0-9a-fA-F]{24}$/.test(String(item.taskId))) {
+        return 'Invalid Task ID format.';
+    }
+    if (item.capturedAt === undefined) return 'capturedAt is required.';
+    return checkCapturedAt(item.capturedAt);
+};
+
+// Run the /upload address rule on a sync item: { address } sanitized, or { error }
+const sanitizeSyncAddress = async (address) => {
+    const itemReq = { body: { address } };
+    await addressRule.run(itemReq);
+    const [error] = validationResult(itemReq).array();
+    return error ? { error: error.msg } : { address: itemReq.body.address || undefined };
+};
+
+// MongoDB duplicate key error on the (userId, clientId) index
+const isDuplicateClientId = (error) => error?.code === 11000 && error?.keyPattern?.clientId;
+
+/**
+ * Store an image and create its Photo document.
+ * `timestamp` is the capture time reported by the device when there is one,
+ * `receivedAt` is always the server receive time.
+ */
+const storePhoto = async (userId, file, { latitude, longitude, accuracy, address, clientId, capturedAt, receivedAt, timestamp, task }) => {
+    // Tag the photo with the assigned site it falls in (or flag it as outside)
+    const { site, geofenceStatus } = await Site.resolveForUser(userId, latitude, longitude);
+
+    // Cross-check the reported position/time against the image's own EXIF
+    const exif = await extractExif(file.buffer);
+    const exifCheck = compareWithReported(exif, { latitude, longitude, accuracy, timestamp });
+
+    // Flag re-uploads of a picture already stored (same image, another day or user).
+    // Also refuses files that are not a readable image.
+    const perceptualHash = await computeHash(file.buffer);
+    const nearDuplicate = await Photo.findNearDuplicate(perceptualHash);
+
+    // Fill in a missing address server-side (no-op when geocoding is disabled);
+    // left to the backfill rather than holding the upload when the geocoder is busy
+    const addressFields = address
+        ? { address, addressSource: 'client' }
+        : await lookupAddressFields(latitude, longitude, { maxWaitMs: geocodingConfig.uploadMaxWaitMs });
+
+    // Store the image through the configured storage driver
+    const stored = await putPhoto(file, { userId });
+
+    try {
+        return await Photo.create({
+            userId,
+            ...stored,
+            latitude,
+            longitude,
+            accuracy,
+            ...addressFields,
+            site,
+            geofenceStatus,
+            exif: exif || undefined,
+            exifCheck,
+            perceptualHash,
+            duplicateOf: nearDuplicate?.photo._id,
+            duplicateDistance: nearDuplicate?.distance,
+            task: task?._id,
+            clientId,
+            capturedAt: capturedAt ? timestamp : undefined,
+            receivedAt,
+            timestamp,
+        });
+    } catch (error) {
+        // Don't leave an orphaned image behind (e.g. a concurrent retry won the race)
+        await deletePhotoAsset(stored).catch((cleanupError) => {
+            console.error('Failed to clean up stored image:', cleanupError);
+        });
+        throw error;
+    }
+};
+
+/**
+ * Create a photo: shared by the single upload and the offline sync endpoints.
+ * With a `taskId`, the photo must complete that visit task (position and time
+ * inside its radius and window) or nothing is stored and a 400/404/409 error
+ * explaining why is thrown (see services/tasks.js).
+ */
+const createPhoto = async (userId, file, { latitude, longitude, accuracy, address, clientId, capturedAt, taskId }) => {
+    const receivedAt = new Date();
+    const timestamp = capturedAt ? new Date(capturedAt) : receivedAt;
+
+    const task = taskId
+        ? await claimTaskForVisit(userId, taskId, { latitude, longitude, timestamp, receivedAt }, { clientId })
+        : null;
+    let photo;
+    try {
+        photo = await storePhoto(userId, file, {
+            latitude, longitude, accuracy, address, clientId, capturedAt, receivedAt, timestamp, task,
+        });
+    } catch (error) {
+        // The task stays open for another attempt, unless a concurrent retry
+        // of this upload stored its photo (and completes the task)
+        if (task && !isDuplicateClientId(error)) await releaseTask(task);
+        throw error;
+    }
+    if (task) await linkTaskPhoto(task, photo);
+    return photo;
+};
+
+// Payload of 'photo.created' / 'photo.deleted' events (live feed and webhooks, see services/events)
+const photoEventData = (photo, user) => ({
+    _id: photo._id,
+    userId: photo.userId,
+    user: user ? { _id: user.id, name: user.name, email: user.email } : undefined,
+    imageUrl: photo.imageUrl,
+    latitude: photo.latitude,
+    longitude: photo.longitude,
+    accuracy: photo.accuracy,
+    address: photo.address,
+    site: photo.site,
+    geofenceStatus: photo.geofenceStatus,
+    duplicateOf: photo.duplicateOf,
+    task: photo.task,
+    timestamp: photo.timestamp,
+    deletedAt: photo.deletedAt || undefined,
+});
+
 // @desc    Upload a new photo
 // @route   POST /api/photos/upload
 // @access  Private (User)
+// @body    image (file), latitude, longitude, accuracy, address?, clientId?, capturedAt?, taskId?
+//          (with taskId the upload is rejected unless it completes that visit task)
 const uploadPhoto = async (req, res) => {
     // *** NEW: Check for validation errors here ***
     const errors = validationResult(req);
@@ -40,118 +252,433 @@ const uploadPhoto = async (req, res) => {
     }
     // Continue with existing logic if no validation errors
     
-    const { latitude, longitude, accuracy, address } = req.body;
+    const { latitude, longitude, accuracy, address, clientId, capturedAt, taskId } = req.body;
 
     if (!req.file) {
         return res.status(400).json({ message: 'No image file provided.' });
     }
 
     try {
-        // Upload image to Cloudinary (unchanged)
-        const dataUri = bufferToDataUri(req.file.buffer, req.file.mimetype);
-        const result = await cloudinary.uploader.upload(dataUri, {
-            folder: 'focus-gps-camera-system',
-            // OPTIONAL: Add tags for better management (e.g., user ID, date)
-            tags: [`user_${req.user._id}`, `date_${new Date().toISOString().split('T')[0]}`],
-        });
+        // A retry of an upload that already went through: answer with the existing photo
+        if (clientId) {
+            const existing = await Photo.findOne({ userId: req.user.id, clientId });
+            if (existing) {
+                return res.status(200).json({ message: 'Photo already uploaded', photo: existing });
+            }
+        }
 
-        const photo = await Photo.create({
-            userId: req.user.id,
-            imageUrl: result.secure_url,
-            cloudinaryPublicId: result.public_id,
-            latitude,
-            longitude,
-            accuracy,
-            address,
-            timestamp: new Date(),
+        const photo = await createPhoto(req.user.id, req.file, {
+            latitude, longitude, accuracy, address, clientId, capturedAt, taskId,
         });
+        publishEvent('photo.created', photoEventData(photo, req.user));
 
         res.status(201).json({ message: 'Photo uploaded successfully', photo });
     } catch (error) {
+        if (isDuplicateClientId(error)) {
+            const existing = await Photo.findOne({ userId: req.user.id, clientId });
+            return res.status(200).json({ message: 'Photo already uploaded', photo: existing });
+        }
+        // Not a readable image, or the photo does not complete its task
+        // (reason code and task constraints included)
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
         console.error('Error uploading photo:', error);
         res.status(500).json({ message: 'Server error during photo upload.' });
     }
 };
 
-// @desc    Get all photos for the logged-in user (unchanged)
+// @desc    Sync a batch of photos taken offline
+// @route   POST /api/photos/sync
+// @access  Private (User)
+// @body    multipart: `items` = JSON array of
+//          { clientId, latitude, longitude, accuracy, address?, capturedAt, taskId? },
+//          plus one file per item whose field name is the item's clientId
+// @returns { results: [{ clientId, status: created|duplicate|rejected, photoId?, reason?, taskReason? }] }
+const syncPhotos = async (req, res) => {
+    let items;
+    try {
+        items = JSON.parse(req.body.items || '[]');
+    } catch (error) {
+        return res.status(400).json({ message: 'items must be a JSON array.' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ message: 'items must be a non-empty JSON array.' });
+    }
+    if (items.length > SYNC_MAX_ITEMS) {
+        return res.status(400).json({ message: `A sync batch cannot contain more than ${SYNC_MAX_ITEMS} items.` });
+    }
+
+    const filesByClientId = new Map((req.files || []).map((file) => [file.fieldname, file]));
+    const seen = new Set();
+    const results = [];
+
+    // Sequential on purpose: keeps memory and storage bandwidth bounded
+    for (const item of items) {
+        const clientId = item?.clientId;
+        const reject = (reason, extra) => results.push({ clientId, status: 'rejected', reason, ...extra });
+
+        const reason = checkSyncItem(item);
+        if (reason) {
+            reject(reason);
+            continue;
+        }
+        const { address, error: addressError } = await sanitizeSyncAddress(item.address);
+        if (addressError) {
+            reject(addressError);
+            continue;
+        }
+        if (seen.has(clientId)) {
+            reject('clientId appears more than once in this batch.');
+            continue;
+        }
+        seen.add(clientId);
+
+        try {
+            const existing = await Photo.findOne({ userId: req.user.id, clientId }).select('_id');
+            if (existing) {
+                results.push({ clientId, status: 'duplicate', photoId: existing._id });
+                continue;
+            }
+
+            const file = filesByClientId.get(clientId);
+            if (!file) {
+                reject('No image file provided for this clientId.');
+                continue;
+            }
+
+            const photo = await createPhoto(req.user.id, file, {
+                latitude: Number(item.latitude),
+                longitude: Number(item.longitude),
+                accuracy: Number(item.accuracy),
+                address,
+                clientId,
+                capturedAt: item.capturedAt,
+                taskId: item.taskId,
+            });
+            publishEvent('photo.created', photoEventData(photo, req.user));
+            results.push({ clientId, status: 'created', photoId: photo._id });
+        } catch (error) {
+            if (isDuplicateClientId(error)) {
+                const existing = await Photo.findOne({ userId: req.user.id, clientId }).select('_id');
+                results.push({ clientId, status: 'duplicate', photoId: existing?._id });
+                continue;
+            }
+            // Not a readable image, or does not complete its visit task (or the task is not the user's)
+            if (error.status) {
+                reject(error.message, error.details && { taskReason: error.details.reason });
+                continue;
+            }
+            console.error(`Error syncing photo ${clientId}:`, error);
+            reject('Server error while storing this photo; retry later.');
+        }
+    }
+
+    res.status(200).json({ results });
+};
+
+// @desc    Get photos for the logged-in user (cursor-paginated), with their review, tags and comments
 // @route   GET /api/photos/my
 // @access  Private (User)
+// @query   filters from utils/photoQuery.js (userId is ignored), limit, sort, cursor
 const getMyPhotos = async (req, res) => {
     try {
-        // OPTIONAL: You can make this route slightly more efficient by only selecting necessary fields
-        const photos = await Photo.find({ userId: req.user.id }).select('imageUrl latitude longitude accuracy address timestamp userId')
-.sort({ timestamp: -1 });
-        res.json(photos);
+        const filter = buildPhotoFilter(req.query, { ownerId: req.user.id });
+        const page = await findPhotoPage(filter, parsePageOptions(req.query), false);
+        res.json(page);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         res.status(500).json({ message: error.message });
     }
 };
 
-// @desc    Get all photos (Admin only) (unchanged)
+// @desc    Get all photos (cursor-paginated; supervisors only see their teams)
 // @route   GET /api/photos/all
-// @access  Private (Admin)
+// @access  Private (Admin, Supervisor)
+// @query   filters from utils/photoQuery.js, limit, sort, cursor
+// @returns { photos, total, limit, hasMore, nextCursor }
 const getAllPhotos = async (req, res) => {
-    // OPTIONAL: Add validation for date and userId query parameters
     try {
-        let query = {};
-        const { date, userId } = req.query;
-
-        if (date) {
-            // Further validation to ensure date is a valid date string
-            const parsedDate = new Date(date);
-            if (isNaN(parsedDate.getTime())) {
-                return res.status(400).json({ message: 'Invalid date format.' });
-            }
-            const startOfDay = new Date(parsedDate);
-            startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(parsedDate);
-            endOfDay.setHours(23, 59, 59, 999);
-            query.timestamp = { $gte: startOfDay, $lte: endOfDay };
+        const filter = buildPhotoFilter(req.query, { scopeUserIds: await resolveUserScope(req.user) });
+        const page = await findPhotoPage(filter, parsePageOptions(req.query), true);
+        res.json(page);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
         }
+        res.status(500).json({ message: error.message });
+    }
+};
 
-        if (userId) {
-            // Further validation to ensure userId is a valid MongoDB ObjectId
-            if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
-                return res.status(400).json({ message: 'Invalid User ID format.' });
-            }
-            query.userId = userId;
+// Refuse to cluster more than this many photos in one request (narrow the filters instead)
+const DUPLICATE_SCAN_LIMIT = 50000;
+// Distinct hashes compared pairwise within one band. Bigger buckets (degenerate
+// images sharing a band) are skipped, which keeps a scan to about
+// 3 x DUPLICATE_SCAN_LIMIT x DUPLICATE_BUCKET_LIMIT comparisons at worst.
+const DUPLICATE_BUCKET_LIMIT = 200;
+
+// @desc    List clusters of near-identical photos (Admin only)
+// @route   GET /api/photos/duplicates
+// @access  Private (Admin)
+// @query   same filters as GET /api/photos/all, plus
+//          crossDayOnly=true (only clusters spanning several days), minSize (default 2)
+// @returns { threshold, skippedBands, clusters: [{ size, userCount, dayCount, photos }] }
+//          skippedBands > 0: some bands were too crowded to compare, clusters may be incomplete
+const getDuplicateClusters = async (req, res) => {
+    try {
+        const filter = { ...buildPhotoFilter(req.query), perceptualHash: { $exists: true } };
+        const minSize = Math.max(2, Number(req.query.minSize) || 2);
+        const crossDayOnly = req.query.crossDayOnly === 'true';
+
+        const total = await Photo.countDocuments(filter);
+        if (total > DUPLICATE_SCAN_LIMIT) {
+            return res.status(400).json({
+                message: `Too many photos (${total}); narrow the filters to at most ${DUPLICATE_SCAN_LIMIT}.`,
+            });
         }
 
-        const photos = await Photo.find(query).populate('userId', 'name email').sort({ timestamp: -1 });
-        res.json(photos);
+        const photos = await Photo.find(filter)
+            .select('imageUrl latitude longitude timestamp userId perceptualHash duplicateOf duplicateDistance')
+            .populate('userId', 'name email')
+            .sort({ timestamp: 1 })
+            .lean();
+
+        // Union-find over photos sharing a hash band and within the distance threshold
+        const parent = photos.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        // Identical hashes are joined straight away; only distinct hashes are compared
+        const firstByHash = new Map();
+        photos.forEach((photo, index) => {
+            if (firstByHash.has(photo.perceptualHash)) {
+                parent[index] = firstByHash.get(photo.perceptualHash);
+            } else {
+                firstByHash.set(photo.perceptualHash, index);
+            }
+        });
+
+        const threshold = maxDistance();
+        const buckets = new Map();
+        firstByHash.forEach((index, hash) => {
+            hashBands(hash).forEach((band) => {
+                if (!buckets.has(band)) buckets.set(band, []);
+                buckets.get(band).push(index);
+            });
+        });
+        let skippedBands = 0;
+        buckets.forEach((members) => {
+            if (members.length > DUPLICATE_BUCKET_LIMIT) {
+                skippedBands += 1;
+                return;
+            }
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const [a, b] = [find(members[i]), find(members[j])];
+                    if (a !== b && hammingDistance(photos[members[i]].perceptualHash, photos[members[j]].perceptualHash) <= threshold) {
+                        parent[b] = a;
+                    }
+                }
+            }
+        });
+
+        const groups = new Map();
+        photos.forEach((photo, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(photo);
+        });
+
+        const clusters = [...groups.values()]
+            .filter((members) => members.length >= minSize)
+            .map((members) => ({
+                size: members.length,
+                userCount: new Set(members.map((photo) => String(photo.userId?._id ?? photo.userId))).size,
+                dayCount: new Set(members.map((photo) => new Date(photo.timestamp).toISOString().split('T')[0])).size,
+                photos: members,
+            }))
+            .filter((cluster) => !crossDayOnly || cluster.dayCount > 1)
+            .sort((a, b) => b.size - a.size);
+
+        res.json({ threshold, skippedBands, clusters });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error building duplicate clusters:', error);
+        res.status(500).json({ message: 'Server error while looking for duplicates.' });
     }
 };
 
-// @desc    Export all photo metadata to CSV (Admin only) (unchanged)
+// @desc    Stream photo metadata as CSV, GeoJSON, KML or GPX (supervisors only get their teams)
 // @route   GET /api/photos/export
-// @access  Private (Admin)
-const exportPhotosCSV = async (req, res) => {
+// @access  Private (Admin, Supervisor)
+// @query   format=csv|geojson|kml|gpx (default csv), sort, same filters as GET /api/photos/all
+const exportPhotos = async (req, res) => {
+    const formatName = String(req.query.format || 'csv').toLowerCase();
+    const format = FORMATS[formatName];
+    if (!format) {
+        return res.status(400).json({ message: `format must be one of: ${Object.keys(FORMATS).join(', ')}.` });
+    }
+
+    let filter;
+    let direction;
     try {
-        const photos = await Photo.find({}).populate('userId', 'name email').sort({ timestamp: 1 });
+        filter = buildPhotoFilter(req.query, { scopeUserIds: await resolveUserScope(req.user) });
+        ({ direction } = parsePageOptions({ sort: req.query.sort || 'asc' }));
+    } catch (error) {
+        return res.status(error.status || 500).json({ message: error.message });
+    }
 
-        let csv = "User Name,User Email,Image URL,Latitude,Longitude,Accuracy,Timestamp,Address\n"; // Added Address header
+    const cursor = Photo.find(filter)
+        .populate('userId', 'name email')
+        .populate('site', 'name')
+        .populate('review.reviewedBy', 'name')
+        .sort({ timestamp: direction, _id: direction })
+        .lean()
+        .cursor();
 
-        photos.forEach(photo => {
-            csv += `${photo.userId.name},${photo.userId.email},${photo.imageUrl},${photo.latitude},${photo.longitude},${photo.accuracy || 'N/A'},${photo.timestamp.toISOString()},"${(photo.address || '').replace(/"/g, '""')}"\n`; // Added Address, handle commas/quotes
-        });
+    // Stop reading from Mongo if the client goes away mid-download
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    try {
+        res.header('Content-Type', format.contentType);
+        res.attachment(`photos_export.${format.extension}`);
+        await streamCursor(res, cursor, format);
+        res.end();
+    } catch (error) {
+        console.error('Error exporting photos:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: 'Server error during photo export.' });
+        }
+        // Headers are gone already: abort so the client sees a truncated download
+        res.destroy(error);
+    }
+};
+
+// Refuse to build archives larger than this many photos (narrow the filters instead)
+const ZIP_MAX_PHOTOS = Number(process.env.ZIP_MAX_PHOTOS) || 5000;
 
-        res.header('Content-Type', 'text/csv');
-        res.attachment('photos_export.csv');
-        res.send(csv);
+// File name of a photo inside the ZIP: <ISO timestamp>_<photo id>.<ext>
+const zipEntryName = (photo) => {
+    const extension = path.extname(new URL(photo.imageUrl, 'http://localhost').pathname) || '.jpg';
+    const stamp = new Date(photo.timestamp).toISOString().replace(/[:.]/g, '-');
+    return `photos/${stamp}_${photo._id}${extension}`;
+};
 
+// @desc    Download photos as a ZIP with manifest.csv and manifest.json (supervisors only get their teams)
+// @route   GET /api/photos/export/zip
+// @access  Private (Admin, Supervisor)
+// @query   same filters as GET /api/photos/all
+const downloadPhotosZip = async (req, res) => {
+    let filter;
+    try {
+        filter = buildPhotoFilter(req.query, { scopeUserIds: await resolveUserScope(req.user) });
+        const total = await Photo.countDocuments(filter);
+        if (total === 0) {
+            return res.status(404).json({ message: 'No photos match these filters.' });
+        }
+        if (total > ZIP_MAX_PHOTOS) {
+            return res.status(400).json({
+                message: `Too many photos (${total}); narrow the filters to at most ${ZIP_MAX_PHOTOS}.`,
+            });
+        }
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        return res.status(error.status || 500).json({ message: error.message });
+    }
+
+    const cursor = Photo.find(filter)
+        .populate('userId', 'name email')
+        .populate('site', 'name')
+        .populate('review.reviewedBy', 'name')
+        .sort({ timestamp: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+    const archive = archiver('zip', { zlib: { level: 0 } }); // JPEGs are already compressed
+    // Client gone: cancels the image download in progress and the wait for it
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            abortController.abort();
+            archive.abort();
+        }
+        cursor.close().catch(() => {});
+    });
+
+    res.header('Content-Type', 'application/zip');
+    res.attachment('photos_export.zip');
+    archive.pipe(res);
+
+    const manifest = [];
+    let imageStream;
+    try {
+        for await (const photo of cursor) {
+            if (signal.aborted) break;
+
+            const entry = {
+                id: String(photo._id),
+                file: zipEntryName(photo),
+                ...Object.fromEntries(PHOTO_COLUMNS.map((column) => [column.key, column.value(photo)])),
+            };
+
+            try {
+                imageStream = await getPhotoStream(photo, { signal });
+            } catch (error) {
+                if (signal.aborted) break;
+                // Missing image: keep the photo in the manifest with the reason
+                console.warn(`ZIP export: could not fetch image for photo ${photo._id}:`, error.message);
+                manifest.push({ ...entry, file: '', error: error.message });
+                continue;
+            }
+
+            archive.append(imageStream, { name: entry.file, date: new Date(photo.timestamp) });
+            // Add images one at a time so only one download is open at once.
+            // archive.abort() emits neither 'entry' nor 'error', hence the signal.
+            try {
+                await once(archive, 'entry', { signal });
+            } catch (error) {
+                if (signal.aborted) break;
+                throw error;
+            }
+            imageStream = null;
+            manifest.push(entry);
+        }
+
+        if (signal.aborted) {
+            imageStream?.destroy();
+            return;
+        }
+
+        const headers = ['id', 'file', ...PHOTO_COLUMNS.map((column) => column.key), 'error'];
+        const csv = toCsvLine(['Photo ID', 'File', ...PHOTO_COLUMNS.map((column) => column.header), 'Error'])
+            + manifest.map((entry) => toCsvLine(headers.map((key) => entry[key] ?? ''))).join('');
+
+        archive.append(csv, { name: 'manifest.csv' });
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        await archive.finalize();
+    } catch (error) {
+        console.error('Error building photo ZIP:', error);
+        imageStream?.destroy();
+        archive.abort();
+        res.destroy(error);
     }
 };
 
-// @desc    Delete a photo (unchanged logic, already robust)
+// @desc    Move a photo to the trash (purged after the retention period, see services/trash.js)
 // @route   DELETE /api/photos/:id
 // @access  Private (User or Admin)
 const deletePhoto = async (req, res) => {
     try {
-        const photo = await Photo.findById(req.params.id);
+        const photo = await Photo.findOne({ _id: req.params.id, deletedAt: null });
 
         if (!photo) {
             return res.status(404).json({ message: 'Photo not found.' });
@@ -170,16 +697,18 @@ const deletePhoto = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to delete this photo.' });
         }
 
-        if (photo.cloudinaryPublicId) {
-            await cloudinary.uploader.destroy(photo.cloudinaryPublicId);
-            console.log(`Cloudinary image ${photo.cloudinaryPublicId} deleted.`);
-        } else {
-            console.warn(`Photo ${photo._id} has no cloudinaryPublicId. Skipping Cloudinary deletion.`);
-        }
-
-        await photo.deleteOne(); 
+        // Soft delete: the image stays in storage until the photo is purged
+        photo.deletedAt = new Date();
+        photo.deletedBy = req.user.id;
+        await photo.save();
+        await recordAudit(req, {
+            action: 'photo.delete',
+            target: { type: 'photo', id: photo._id },
+            after: { deletedAt: photo.deletedAt, deletedBy: photo.deletedBy },
+        });
+        publishEvent('photo.deleted', { ...photoEventData(photo), deletedBy: req.user.id });
 
-        res.json({ message: 'Photo deleted successfully.' });
+        res.json({ message: 'Photo moved to trash.' });
 
     } catch (error) {
         console.error('Error deleting photo:', error);
@@ -187,4 +716,4 @@ const deletePhoto = async (req, res) => {
     }
 };
 
-module.exports = { validateUploadPhoto, uploadPhoto, getMyPhotos, getAllPhotos, exportPhotosCSV, deletePhoto };
+module.exports = { validateUploadPhoto, uploadPhoto, syncPhotos, getMyPhotos, getAllPhotos, getDuplicateClusters, exportPhotos, downloadPhotosZip, deletePhoto };
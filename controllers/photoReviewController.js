@@ -0,0 +1,377 @@
+// backend/controllers/photoReviewController.js
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const { body, param, validationResult } = require('express-validator');
+const { buildPhotoFilter, REVIEW_STATUSES } = require('../utils/photoQuery');
+const { resolveUserScope, isUserInScope } = require('../services/teamScope');
+const { recordAudit } = require('../services/audit');
+
+// Refuse bulk actions touching more than this many photos (narrow the filter instead)
+const BULK_REVIEW_LIMIT = 10000;
+const MAX_TAGS_PER_PHOTO = 50;
+
+const reasonRequiredWhenRejected = (value, { req }) => {
+    if (req.body.status === 'rejected' && !String(value || '').trim()) {
+        throw new Error('A reason is required when rejecting.');
+    }
+    return true;
+};
+
+// Tags: strings without commas (the listing filter is comma-separated). Stored
+// as given, not HTML-escaped, so the filter and removeTags match them verbatim.
+const tagRules = (field) => [
+    body(field)
+        .optional()
+        .isArray({ max: MAX_TAGS_PER_PHOTO }).withMessage(`${field} must be an array of at most ${MAX_TAGS_PER_PHOTO} tags.`),
+    body(`${field}.*`)
+        .isString().withMessage('Tags must be strings.')
+        .trim()
+        .isLength({ min: 1, max: 50 }).withMessage('Tags must be between 1 and 50 characters.')
+        .matches(/^[^,]+$/).withMessage('Tags cannot contain commas.'),
+];
+
+// Validation for a single review
+const validateReview = [
+    body('status')
+        .isIn(REVIEW_STATUSES).withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}.`),
+    body('reason')
+        .custom(reasonRequiredWhenRejected),
+    body('reason')
+        .optional()
+        .isString().withMessage('Reason must be a string.')
+        .trim()
+        .isLength({ max: 500 }).withMessage('Reason cannot be longer than 500 characters.')
+        .escape(),
+];
+
+// Validation for a bulk action on a filtered selection
+const validateBulkReview = [
+    body('status')
+        .optional()
+        .isIn(REVIEW_STATUSES).withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}.`),
+    ...validateReview.slice(1),
+    ...tagRules('addTags'),
+    ...tagRules('removeTags'),
+    body('photoIds')
+        .optional()
+        .isArray({ min: 1, max: BULK_REVIEW_LIMIT }).withMessage(`photoIds must be an array of 1 to ${BULK_REVIEW_LIMIT} photo IDs.`),
+    body('photoIds.*')
+        .isMongoId().withMessage('Invalid Photo ID in photoIds.'),
+    body('filter')
+        .optional()
+        .isObject().withMessage('filter must be an object of listing filters.'),
+];
+
+// Validation for replacing a photo's tags
+const validateTags = [
+    body('tags')
+        .exists().withMessage('tags is required.'),
+    ...tagRules('tags'),
+];
+
+// Validation for a new comment
+const validateComment = [
+    body('body')
+        .isString().withMessage('Comment must be a string.')
+        .trim()
+        .isLength({ min: 1, max: 2000 }).withMessage('Comment must be between 1 and 2000 characters.')
+        .escape(),
+    body('parentId')
+        .optional()
+        .isMongoId().withMessage('Invalid parent comment ID format.'),
+];
+
+// Validation for photo ID + comment ID in URL parameters
+const validateCommentParams = [
+    param('id').isMongoId().withMessage('Invalid Photo ID format.'),
+    param('commentId').isMongoId().withMessage('Invalid Comment ID format.'),
+];
+
+// Lowercase, de-duplicated tags
+const normalizeTags = (tags = []) => [...new Set(tags.map((tag) => tag.toLowerCase()))];
+
+// Non-trashed photo the caller may see (own photos for users, their teams' for supervisors), or null
+const findVisiblePhoto = async (req, select) => {
+    const photo = await Photo.findOne({ _id: req.params.id, deletedAt: null }).select(select);
+    if (!photo || !isUserInScope(await resolveUserScope(req.user), photo.userId)) {
+        return null;
+    }
+    return photo;
+};
+
+const reviewFields = (status, reason, user) => (status === 'pending'
+    ? { status }
+    : { status, reason: status === 'rejected' ? reason : undefined, reviewedBy: user.id, reviewedAt: new Date() });
+
+// Nest comments under their parent, oldest first
+const buildCommentThread = (comments = []) => {
+    const nodes = new Map(comments.map((comment) => [String(comment._id), { ...comment, replies: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        (parent ? parent.replies : roots).push(node);
+    }
+    const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+    const sortTree = (list) => list.sort(byDate).forEach((node) => sortTree(node.replies));
+    sortTree(roots);
+    return roots;
+};
+
+// @desc    Approve, reject (with a reason) or reset a photo to pending
+// @route   PUT /api/photos/:id/review
+// @access  Private (Admin, Supervisor for their teams)
+const reviewPhoto = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+
+    try {
+        const photo = await findVisiblePhoto(req, 'userId review');
+        if (!photo) {
+            return res.status(404).json({ message: 'Photo not found' });
+        }
+
+        const before = photo.review ? photo.review.toObject() : {};
+        photo.review = reviewFields(status, reason, req.user);
+        await photo.save();
+
+        await recordAudit(req, {
+            action: 'photo.review',
+            target: { type: 'photo', id: photo._id },
+            before: { review: before },
+            after: { review: photo.review },
+        });
+
+        await photo.populate('review.reviewedBy', 'name');
+        res.json({ _id: photo._id, review: photo.review });
+    } catch (error) {
+        console.error('Error reviewing photo:', error);
+        res.status(500).json({ message: 'Server error reviewing photo.' });
+    }
+};
+
+// @desc    Review and/or tag every photo of a selection at once
+// @route   POST /api/photos/review/bulk
+// @access  Private (Admin, Supervisor for their teams)
+// @body    { photoIds?, filter? (same keys as the GET /api/photos/all query),
+//            status?, reason?, addTags?, removeTags? }
+// @returns { matched, modified }
+const bulkReviewPhotos = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { photoIds, filter: query = {}, status, reason } = req.body;
+    const addTags = normalizeTags(req.body.addTags);
+    const removeTags = normalizeTags(req.body.removeTags);
+
+    if (!status && addTags.length === 0 && removeTags.length === 0) {
+        return res.status(400).json({ message: 'Give a status, addTags or removeTags.' });
+    }
+    // An empty selection would mean every photo: make that explicit with a filter
+    if (!photoIds && Object.keys(query).length === 0) {
+        return res.status(400).json({ message: 'Give photoIds or a filter (e.g. { "reviewStatus": "pending" }).' });
+    }
+
+    try {
+        const filter = buildPhotoFilter(query, { scopeUserIds: await resolveUserScope(req.user) });
+        if (photoIds) {
+            filter._id = { $in: photoIds };
+        }
+
+        const matched = await Photo.countDocuments(filter);
+        if (matched > BULK_REVIEW_LIMIT) {
+            return res.status(400).json({ message: `The selection holds ${matched} photos; narrow it to at most ${BULK_REVIEW_LIMIT}.` });
+        }
+
+        // $addToSet and $pull on the same field cannot share one update
+        const updates = [];
+        if (status || addTags.length) {
+            const update = {};
+            if (status) update.$set = { review: reviewFields(status, reason, req.user) };
+            if (addTags.length) update.$addToSet = { tags: { $each: addTags } };
+            updates.push(update);
+        }
+        if (removeTags.length) {
+            updates.push({ $pull: { tags: { $in: removeTags } } });
+        }
+
+        let modified = 0;
+        for (const update of updates) {
+            const result = await Photo.updateMany(filter, update);
+            modified = Math.max(modified, result.modifiedCount);
+        }
+
+        await recordAudit(req, {
+            action: 'photo.review_bulk',
+            target: { type: 'photo' },
+            metadata: {
+                filter: query,
+                photoCount: photoIds?.length,
+                status,
+                reason: status === 'rejected' ? reason : undefined,
+                addTags,
+                removeTags,
+                matched,
+                modified,
+            },
+        });
+
+        res.json({ matched, modified });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error in bulk photo review:', error);
+        res.status(500).json({ message: 'Server error during bulk review.' });
+    }
+};
+
+// @desc    Replace a photo's tags
+// @route   PUT /api/photos/:id/tags
+// @access  Private (Admin, Supervisor for their teams)
+const setPhotoTags = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const photo = await findVisiblePhoto(req, 'userId tags');
+        if (!photo) {
+            return res.status(404).json({ message: 'Photo not found' });
+        }
+
+        const before = photo.tags ? [...photo.tags] : [];
+        photo.tags = normalizeTags(req.body.tags);
+        await photo.save();
+
+        await recordAudit(req, {
+            action: 'photo.tags',
+            target: { type: 'photo', id: photo._id },
+            before: { tags: before },
+            after: { tags: photo.tags },
+        });
+
+        res.json({ _id: photo._id, tags: photo.tags });
+    } catch (error) {
+        console.error('Error tagging photo:', error);
+        res.status(500).json({ message: 'Server error tagging photo.' });
+    }
+};
+
+// @desc    Comment thread of a photo (nested replies, oldest first)
+// @route   GET /api/photos/:id/comments
+// @access  Private (owner, Admin, Supervisor for their teams)
+const getPhotoComments = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const photo = await findVisiblePhoto(req, 'userId comments');
+        if (!photo) {
+            return res.status(404).json({ message: 'Photo not found' });
+        }
+        await photo.populate('comments.author', 'name role');
+        res.json(buildCommentThread(photo.toObject().comments));
+    } catch (error) {
+        console.error('Error fetching photo comments:', error);
+        res.status(500).json({ message: 'Server error fetching comments.' });
+    }
+};
+
+// @desc    Comment on a photo, or reply to a comment with parentId
+// @route   POST /api/photos/:id/comments
+// @access  Private (owner, Admin, Supervisor for their teams)
+const addPhotoComment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { body: text, parentId } = req.body;
+
+    try {
+        const photo = await findVisiblePhoto(req, 'userId comments');
+        if (!photo) {
+            return res.status(404).json({ message: 'Photo not found' });
+        }
+        if (parentId) {
+            const parent = photo.comments?.id(parentId);
+            if (!parent || parent.deletedAt) {
+                return res.status(400).json({ message: 'The comment you are replying to does not exist.' });
+            }
+        }
+
+        const comment = { _id: new mongoose.Types.ObjectId(), author: req.user.id, body: text, parent: parentId, createdAt: new Date() };
+        await Photo.updateOne({ _id: photo._id }, { $push: { comments: comment } });
+
+        res.status(201).json({ ...comment, author: { _id: req.user.id, name: req.user.name, role: req.user.role } });
+    } catch (error) {
+        console.error('Error adding photo comment:', error);
+        res.status(500).json({ message: 'Server error adding comment.' });
+    }
+};
+
+// @desc    Delete a comment (its author or an admin); one with replies keeps its place without its text
+// @route   DELETE /api/photos/:id/comments/:commentId
+// @access  Private (comment author, Admin)
+const deletePhotoComment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const photo = await findVisiblePhoto(req, 'userId comments');
+        const comment = photo?.comments?.id(req.params.commentId);
+        if (!comment || comment.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        if (req.user.role !== 'admin' && String(comment.author) !== String(req.user.id)) {
+            return res.status(403).json({ message: 'Only the author or an admin can delete this comment.' });
+        }
+
+        const before = comment.toObject();
+        const hasReplies = photo.comments.some((other) => String(other.parent) === String(comment._id));
+        if (hasReplies) {
+            await Photo.updateOne(
+                { _id: photo._id, 'comments._id': comment._id },
+                { $set: { 'comments.$.deletedAt': new Date() }, $unset: { 'comments.$.body': '' } }
+            );
+        } else {
+            await Photo.updateOne({ _id: photo._id }, { $pull: { comments: { _id: comment._id } } });
+        }
+
+        await recordAudit(req, {
+            action: 'photo.comment_delete',
+            target: { type: 'photo', id: photo._id },
+            before,
+        });
+
+        res.json({ message: 'Comment removed' });
+    } catch (error) {
+        console.error('Error deleting photo comment:', error);
+        res.status(500).json({ message: 'Server error deleting comment.' });
+    }
+};
+
+module.exports = {
+    validateReview,
+    validateBulkReview,
+    validateTags,
+    validateComment,
+    validateCommentParams,
+    reviewPhoto,
+    bulkReviewPhotos,
+    setPhotoTags,
+    getPhotoComments,
+    addPhotoComment,
+    deletePhotoComment,
+};
@@ -0,0 +1,110 @@
+// backend/controllers/photoTrashController.js
+const Photo = require('../models/Photo');
+const { param, validationResult } = require('express-validator');
+const { buildPhotoFilter } = require('../utils/photoQuery');
+const { parsePageOptions, findPage } = require('../utils/pagination');
+const { recordAudit } = require('../services/audit');
+const { purgePhoto, retentionDays } = require('../services/trash');
+
+// Validation for photo ID in URL parameters
+const validatePhotoIdParam = [
+    param('id').isMongoId().withMessage('Invalid Photo ID format.'),
+];
+
+// @desc    List trashed photos, most recently deleted first (Admin only)
+// @route   GET /api/photos/trash
+// @access  Private (Admin)
+// @query   same filters as GET /api/photos/all, limit, sort, cursor
+const getTrashedPhotos = async (req, res) => {
+    try {
+        const filter = buildPhotoFilter(req.query, { trashed: true });
+        const { items, ...pageInfo } = await findPage(Photo, filter, parsePageOptions(req.query), {
+            field: 'deletedAt',
+            decorate: (query) => query
+                .populate('userId', 'name email')
+                .populate('deletedBy', 'name email')
+                .lean(),
+        });
+        res.json({ photos: items, ...pageInfo, retentionDays: retentionDays() });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching trashed photos:', error);
+        res.status(500).json({ message: 'Server error fetching trashed photos.' });
+    }
+};
+
+// @desc    Restore a trashed photo (Admin only)
+// @route   POST /api/photos/trash/:id/restore
+// @access  Private (Admin)
+const restorePhoto = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        // Atomic, and never for a photo whose image a purge may already have deleted
+        const photo = await Photo.findOneAndUpdate(
+            { _id: req.params.id, deletedAt: { $ne: null }, purging: { $ne: true } },
+            { $unset: { deletedAt: '', deletedBy: '' } }
+        );
+        if (!photo) {
+            const purging = await Photo.exists({ _id: req.params.id, deletedAt: { $ne: null }, purging: true });
+            return purging
+                ? res.status(409).json({ message: 'This photo is being permanently deleted and can no longer be restored.' })
+                : res.status(404).json({ message: 'Trashed photo not found.' });
+        }
+
+        // `photo` is the document as it was before the update
+        const before = { deletedAt: photo.deletedAt, deletedBy: photo.deletedBy };
+        photo.deletedAt = undefined;
+        photo.deletedBy = undefined;
+
+        await recordAudit(req, {
+            action: 'photo.restore',
+            target: { type: 'photo', id: photo._id },
+            before,
+        });
+
+        res.json({ message: 'Photo restored.', photo });
+    } catch (error) {
+        console.error('Error restoring photo:', error);
+        res.status(500).json({ message: 'Server error restoring photo.' });
+    }
+};
+
+// @desc    Permanently delete a trashed photo and its image (Admin only)
+// @route   DELETE /api/photos/trash/:id
+// @access  Private (Admin)
+const purgeTrashedPhoto = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const photo = await Photo.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!photo) {
+            return res.status(404).json({ message: 'Trashed photo not found.' });
+        }
+
+        // Restored meanwhile
+        if (!(await purgePhoto(photo))) {
+            return res.status(404).json({ message: 'Trashed photo not found.' });
+        }
+        await recordAudit(req, {
+            action: 'photo.purge',
+            target: { type: 'photo', id: photo._id },
+            before: photo,
+        });
+
+        res.json({ message: 'Photo permanently deleted.' });
+    } catch (error) {
+        console.error('Error purging photo:', error);
+        res.status(500).json({ message: 'Server error purging photo.' });
+    }
+};
+
+module.exports = { validatePhotoIdParam, getTrashedPhotos, restorePhoto, purgeTrashedPhoto };
@@ -0,0 +1,184 @@
+// backend/controllers/reportController.js
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const { buildPhotoFilter, OBJECT_ID_PATTERN } = require('../utils/photoQuery');
+const { toCsvLine } = require('../utils/exportFormats');
+const { resolveUserScope, isUserInScope } = require('../services/teamScope');
+const {
+    parseTravelOptions,
+    parseDateRange,
+    getDailyRoute,
+    getDistanceByUser,
+} = require('../services/travel');
+const {
+    parseAttendanceOptions,
+    buildAttendanceReport,
+    flattenAttendance,
+    ATTENDANCE_COLUMNS,
+} = require('../services/attendance');
+
+const ATTENDANCE_FORMATS = ['json', 'csv', 'xlsx'];
+
+const sendAttendanceCsv = (res, report) => {
+    res.header('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`attendance_${report.from}_${report.to}.csv`);
+    res.send(
+        toCsvLine(ATTENDANCE_COLUMNS.map((column) => column.header))
+        + flattenAttendance(report).map((row) => toCsvLine(ATTENDANCE_COLUMNS.map((column) => column.value(row)))).join('')
+    );
+};
+
+const sendAttendanceXlsx = async (res, report) => {
+    const workbook = new ExcelJS.Workbook();
+
+    const daily = workbook.addWorksheet('Attendance', { views: [{ state: 'frozen', ySplit: 1 }] });
+    daily.columns = ATTENDANCE_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+    for (const row of flattenAttendance(report)) {
+        daily.addRow(Object.fromEntries(ATTENDANCE_COLUMNS.map((column) => [column.key, column.value(row)])));
+    }
+    daily.getRow(1).font = { bold: true };
+
+    const summary = workbook.addWorksheet('Summary', { views: [{ state: 'frozen', ySplit: 1 }] });
+    summary.columns = [
+        { key: 'name', header: 'User Name', width: 24 },
+        { key: 'email', header: 'User Email', width: 30 },
+        { key: 'workingDays', header: 'Working Days', width: 14 },
+        { key: 'daysPresent', header: 'Days Present', width: 14 },
+        { key: 'daysAbsent', header: 'Days Absent', width: 13 },
+        { key: 'lateArrivals', header: 'Late Arrivals', width: 14 },
+        { key: 'earlyDepartures', header: 'Early Departures', width: 17 },
+        { key: 'photoCount', header: 'Photos', width: 8 },
+        { key: 'timeOnSiteMinutes', header: 'Time On Site (min)', width: 18 },
+    ];
+    for (const { user, summary: totals } of report.users) {
+        summary.addRow({ name: user.name, email: user.email, ...totals });
+    }
+    summary.getRow(1).font = { bold: true };
+
+    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.attachment(`attendance_${report.from}_${report.to}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+};
+
+// @desc    Attendance per user per day, derived from photo check-ins
+// @route   GET /api/reports/attendance
+// @access  Private (Admin, Supervisor for their teams)
+// @query   from, to (YYYY-MM-DD, required), format=json|csv|xlsx,
+//          timezone, start, end (HH:mm), grace, workingDays (see services/attendance.js),
+//          and the photo filters from utils/photoQuery.js (userId(s), siteId, ...)
+const getAttendanceReport = async (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!ATTENDANCE_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${ATTENDANCE_FORMATS.join(', ')}.` });
+    }
+
+    try {
+        const options = parseAttendanceOptions(req.query);
+        // The day range is applied by the report itself (in the report's time zone)
+        const { from, to, date, ...photoQuery } = req.query;
+        const filter = buildPhotoFilter(photoQuery, { scopeUserIds: await resolveUserScope(req.user) });
+        const report = await buildAttendanceReport(filter, options);
+
+        if (format === 'csv') {
+            return sendAttendanceCsv(res, report);
+        }
+        if (format === 'xlsx') {
+            return await sendAttendanceXlsx(res, report);
+        }
+        res.json(report);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error building attendance report:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ message: 'Server error building attendance report.' });
+    }
+};
+
+// @desc    A user's route on one day: GeoJSON LineString, stops, legs and dwell clusters
+// @route   GET /api/reports/route
+// @access  Private (Admin, Supervisor for their teams)
+// @query   userId, date (YYYY-MM-DD) required; timezone, dwellRadius, dwellMinPhotos
+//          (see services/travel.js), photo filters such as maxAccuracy
+const getUserRoute = async (req, res) => {
+    const { userId, date, from, to, userIds, ...photoQuery } = req.query;
+    if (!OBJECT_ID_PATTERN.test(userId || '')) {
+        return res.status(400).json({ message: 'A valid userId is required.' });
+    }
+
+    try {
+        const options = parseTravelOptions(req.query);
+        const scope = await resolveUserScope(req.user);
+        const user = isUserInScope(scope, userId)
+            ? await User.findById(userId).select('name email').lean()
+            : null;
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const filter = buildPhotoFilter({ ...photoQuery, userId }, { scopeUserIds: scope });
+        const route = await getDailyRoute(filter, date, options);
+        route.properties = { user, ...route.properties };
+        res.json(route);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error building route:', error);
+        res.status(500).json({ message: 'Server error building route.' });
+    }
+};
+
+const DISTANCE_FORMATS = ['json', 'csv'];
+const DISTANCE_CSV_HEADERS = ['User Name', 'User Email', 'Date', 'Photos', 'Stops', 'Distance (km)'];
+
+// @desc    Kilometres travelled per user per day over a date range (mileage)
+// @route   GET /api/reports/distance
+// @access  Private (Admin, Supervisor for their teams)
+// @query   from, to (YYYY-MM-DD, required), format=json|csv, timezone, dwellRadius,
+//          and the photo filters from utils/photoQuery.js (userId(s), maxAccuracy, ...)
+const getDistanceReport = async (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!DISTANCE_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${DISTANCE_FORMATS.join(', ')}.` });
+    }
+
+    try {
+        const range = parseDateRange(req.query);
+        const options = parseTravelOptions(req.query);
+        const { from, to, date, ...photoQuery } = req.query;
+        const filter = buildPhotoFilter(photoQuery, { scopeUserIds: await resolveUserScope(req.user) });
+
+        const rows = await getDistanceByUser(filter, range, options);
+        const users = await User.find({ _id: { $in: rows.map((row) => row.userId) } }).select('name email').lean();
+        const usersById = new Map(users.map((user) => [String(user._id), user]));
+        const report = rows
+            .map(({ userId, ...row }) => ({ user: usersById.get(String(userId)) || { _id: userId }, ...row }))
+            .sort((a, b) => String(a.user.name || '').localeCompare(String(b.user.name || '')));
+
+        if (format === 'csv') {
+            res.header('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`distance_${range.from}_${range.to}.csv`);
+            return res.send(
+                toCsvLine(DISTANCE_CSV_HEADERS)
+                + report.flatMap(({ user, days }) => days.map((day) => toCsvLine([
+                    user.name, user.email, day.date, day.photoCount, day.stopCount, day.distanceKm,
+                ]))).join('')
+            );
+        }
+
+        res.json({ ...range, timezone: options.timezone, users: report });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error building distance report:', error);
+        res.status(500).json({ message: 'Server error building distance report.' });
+    }
+};
+
+module.exports = { getAttendanceReport, getUserRoute, getDistanceReport };
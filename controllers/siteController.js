@@ -0,0 +1,237 @@
+// backend/controllers/siteController.js
+const Site = require('../models/Site');
+const User = require('../models/User');
+const { body, param, validationResult } = require('express-validator');
+const { parsePolygon } = require('../utils/geo');
+const { createHttpError } = require('../utils/httpError');
+
+// Validation for site creation
+const validateSiteCreation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Site name is required.')
+        .isLength({ max: 200 }).withMessage('Site name cannot be longer than 200 characters.')
+        .escape(),
+    body('polygon')
+        .optional()
+        .isArray({ min: 3 }).withMessage('Polygon must be an array of at least 3 [lng, lat] points.'),
+    body('center.latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 }).withMessage('Center latitude must be between -90 and 90.'),
+    body('center.longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 }).withMessage('Center longitude must be between -180 and 180.'),
+    body('radius')
+        .optional()
+        .isFloat({ min: 1 }).withMessage('Radius must be at least 1 meter.'),
+    body('assignedUsers')
+        .optional()
+        .isArray().withMessage('assignedUsers must be an array of user IDs.'),
+    body('assignedUsers.*')
+        .isMongoId().withMessage('Invalid User ID in assignedUsers.'),
+    body('active')
+        .optional()
+        .isBoolean().withMessage('active must be a boolean.'),
+];
+
+// Validation for site update (everything optional)
+const validateSiteUpdate = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Site name cannot be empty.')
+        .isLength({ max: 200 }).withMessage('Site name cannot be longer than 200 characters.')
+        .escape(),
+    ...validateSiteCreation.slice(1),
+];
+
+// Validation for site ID in URL parameters
+const validateSiteIdParam = [
+    param('id').isMongoId().withMessage('Invalid Site ID format.'),
+];
+
+// Turn the request body geometry into Site fields.
+// Returns null when the body carries no geometry.
+const geometryFromBody = ({ polygon, center, radius }) => {
+    if (polygon && center) {
+        throw createHttpError(400, 'Provide either polygon or center + radius, not both.');
+    }
+    if (polygon) {
+        return { shape: 'polygon', area: parsePolygon(polygon), center: undefined, radius: undefined };
+    }
+    if (center) {
+        const latitude = Number(center.latitude);
+        const longitude = Number(center.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !(Number(radius) >= 1)) {
+            throw createHttpError(400, 'A circle site needs center.latitude, center.longitude and a radius.');
+        }
+        return {
+            shape: 'circle',
+            center: { type: 'Point', coordinates: [longitude, latitude] },
+            radius: Number(radius),
+            area: undefined,
+        };
+    }
+    return null;
+};
+
+// Whether any of the given user IDs does not exist
+const hasMissingUsers = async (userIds = []) => {
+    const uniqueIds = [...new Set(userIds.map(String))];
+    const count = await User.countDocuments({ _id: { $in: uniqueIds } });
+    return count !== uniqueIds.length;
+};
+
+// @desc    Create a new site (Admin only)
+// @route   POST /api/sites
+// @access  Private/Admin
+const createSite = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, assignedUsers = [], active } = req.body;
+
+    try {
+        const geometry = geometryFromBody(req.body);
+        if (!geometry) {
+            return res.status(400).json({ message: 'Provide either polygon or center + radius.' });
+        }
+
+        if (await hasMissingUsers(assignedUsers)) {
+            return res.status(400).json({ message: 'One or more assigned users do not exist.' });
+        }
+
+        const site = await Site.create({
+            name,
+            ...geometry,
+            assignedUsers,
+            active,
+            createdBy: req.user.id,
+        });
+
+        res.status(201).json(site);
+    } catch (error) {
+        if (error.status || error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating site:', error);
+        res.status(500).json({ message: 'Server error creating site.' });
+    }
+};
+
+// @desc    Get all sites
+// @route   GET /api/sites
+// @access  Private/Admin
+const getAllSites = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) {
+            query.active = req.query.active === 'true';
+        }
+        const sites = await Site.find(query).populate('assignedUsers', 'name email').sort({ name: 1 });
+        res.json(sites);
+    } catch (error) {
+        console.error('Error fetching sites:', error);
+        res.status(500).json({ message: 'Server error fetching sites.' });
+    }
+};
+
+// @desc    Get site by ID
+// @route   GET /api/sites/:id
+// @access  Private/Admin
+const getSiteById = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const site = await Site.findById(req.params.id).populate('assignedUsers', 'name email');
+        if (!site) {
+            return res.status(404).json({ message: 'Site not found' });
+        }
+        res.json(site);
+    } catch (error) {
+        console.error('Error fetching site by ID:', error);
+        res.status(500).json({ message: 'Server error fetching site.' });
+    }
+};
+
+// @desc    Update a site (name, geometry, assigned users, active flag)
+// @route   PUT /api/sites/:id
+// @access  Private/Admin
+const updateSite = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, assignedUsers, active } = req.body;
+
+    try {
+        const site = await Site.findById(req.params.id);
+        if (!site) {
+            return res.status(404).json({ message: 'Site not found' });
+        }
+
+        const geometry = geometryFromBody(req.body);
+        if (geometry) {
+            site.set(geometry);
+        }
+
+        if (assignedUsers !== undefined) {
+            if (await hasMissingUsers(assignedUsers)) {
+                return res.status(400).json({ message: 'One or more assigned users do not exist.' });
+            }
+            site.assignedUsers = assignedUsers;
+        }
+
+        site.name = name !== undefined ? name : site.name;
+        site.active = active !== undefined ? active : site.active;
+
+        const updatedSite = await site.save();
+        res.json(updatedSite);
+    } catch (error) {
+        if (error.status || error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating site:', error);
+        res.status(500).json({ message: 'Server error updating site.' });
+    }
+};
+
+// @desc    Delete a site
+// @route   DELETE /api/sites/:id
+// @access  Private/Admin
+const deleteSite = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const site = await Site.findById(req.params.id);
+        if (!site) {
+            return res.status(404).json({ message: 'Site not found' });
+        }
+        // Photos keep their site reference; the site name simply stops resolving
+        await site.deleteOne();
+        res.json({ message: 'Site removed' });
+    } catch (error) {
+        console.error('Error deleting site:', error);
+        res.status(500).json({ message: 'Server error deleting site.' });
+    }
+};
+
+module.exports = {
+    validateSiteCreation,
+    validateSiteUpdate,
+    validateSiteIdParam,
+    createSite,
+    getAllSites,
+    getSiteById,
+    updateSite,
+    deleteSite,
+};
@@ -0,0 +1,375 @@
+// backend/controllers/taskController.js
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { body, param, validationResult } = require('express-validator');
+const config = require('../config/tasks');
+const { recordAudit, diff } = require('../services/audit');
+const { resolveUserScope, isUserInScope } = require('../services/teamScope');
+const { parsePageOptions, findPage } = require('../utils/pagination');
+const { createHttpError } = require('../utils/httpError');
+const {
+    TASK_STATES,
+    OPEN_STATES,
+    withState,
+    resolveTaskLocation,
+    buildTaskReport,
+} = require('../services/tasks');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Validation for task creation
+const validateTaskCreation = [
+    body('title')
+        .trim()
+        .notEmpty().withMessage('Task title is required.')
+        .isLength({ max: 200 }).withMessage('Task title cannot be longer than 200 characters.')
+        .escape(),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 }).withMessage('Description cannot be longer than 2000 characters.')
+        .escape(),
+    body('assignedTo')
+        .isMongoId().withMessage('assignedTo must be a valid User ID.'),
+    body('latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be a valid number between -90 and 90.')
+        .toFloat(),
+    body('longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a valid number between -180 and 180.')
+        .toFloat(),
+    body('radius')
+        .optional()
+        .isFloat({ min: 1, max: config.maxRadiusMeters }).withMessage(`Radius must be between 1 and ${config.maxRadiusMeters} meters.`)
+        .toFloat(),
+    body('address')
+        .optional()
+        .isString().withMessage('Address must be a string.')
+        .trim()
+        .isLength({ max: 500 }).withMessage('Address cannot be longer than 500 characters.'),
+    body('windowStart')
+        .isISO8601().withMessage('windowStart must be an ISO 8601 date.')
+        .toDate(),
+    body('windowEnd')
+        .isISO8601().withMessage('windowEnd must be an ISO 8601 date.')
+        .toDate(),
+];
+
+// Validation for task update (everything optional; status only cancels or reopens)
+const validateTaskUpdate = [
+    body('title')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Task title cannot be empty.')
+        .isLength({ max: 200 }).withMessage('Task title cannot be longer than 200 characters.')
+        .escape(),
+    validateTaskCreation[1],
+    body('assignedTo')
+        .optional()
+        .isMongoId().withMessage('assignedTo must be a valid User ID.'),
+    ...validateTaskCreation.slice(3, 7),
+    body('windowStart')
+        .optional()
+        .isISO8601().withMessage('windowStart must be an ISO 8601 date.')
+        .toDate(),
+    body('windowEnd')
+        .optional()
+        .isISO8601().withMessage('windowEnd must be an ISO 8601 date.')
+        .toDate(),
+    body('status')
+        .optional()
+        .isIn(['assigned', 'cancelled']).withMessage('status can only be set to "assigned" or "cancelled".'),
+];
+
+// Validation for task ID in URL parameters
+const validateTaskIdParam = [
+    param('id').isMongoId().withMessage('Invalid Task ID format.'),
+];
+
+// Coordinates given together or not at all
+const checkCoordinates = ({ latitude, longitude }) => {
+    if ((latitude === undefined) !== (longitude === undefined)) {
+        throw createHttpError(400, 'latitude and longitude must be given together.');
+    }
+};
+
+// The assignee must be an existing account
+const checkAssignee = async (userId) => {
+    if (!await User.exists({ _id: userId })) {
+        throw createHttpError(400, 'Assigned user does not exist.');
+    }
+};
+
+const parseDate = (value, label) => {
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) {
+        throw createHttpError(400, `Invalid ${label} date format.`);
+    }
+    return parsed;
+};
+
+/**
+ * Build the task filter from the query string, restricted to the users in `scope`.
+ *   assignedTo   user ID(s), comma-separated
+ *   state        upcoming | open | overdue | missed | completed | cancelled, comma-separated
+ *   from, to     tasks whose window overlaps this date range
+ */
+const buildTaskFilter = ({ assignedTo, state, from, to } = {}, scope, now = new Date()) => {
+    const conditions = [];
+
+    let userIds = assignedTo ? String(assignedTo).split(',').map((id) => id.trim()).filter(Boolean) : null;
+    if (userIds && userIds.some((id) => !OBJECT_ID_PATTERN.test(id))) {
+        throw createHttpError(400, 'Invalid assignedTo user ID format.');
+    }
+    if (scope) {
+        userIds = userIds ? userIds.filter((id) => scope.includes(id)) : scope;
+    }
+    if (userIds) {
+        conditions.push({ assignedTo: { $in: userIds } });
+    }
+
+    if (state) {
+        const states = String(state).split(',').map((item) => item.trim()).filter(Boolean);
+        if (states.length === 0 || states.some((item) => !TASK_STATES.includes(item))) {
+            throw createHttpError(400, `state must be a list of: ${TASK_STATES.join(', ')}.`);
+        }
+        conditions.push({ $or: states.map((item) => Task.stateFilter(item, now)) });
+    }
+
+    if (from) conditions.push({ windowEnd: { $gte: parseDate(from, 'from') } });
+    if (to) conditions.push({ windowStart: { $lte: parseDate(to, 'to') } });
+
+    return conditions.length ? { $and: conditions } : {};
+};
+
+// @desc    Assign a visit task (coordinates + radius, or an address looked up with the geocoder)
+// @route   POST /api/tasks
+// @access  Private/Admin
+const createTask = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, assignedTo, latitude, longitude, radius, address, windowStart, windowEnd } = req.body;
+
+    try {
+        checkCoordinates(req.body);
+        await checkAssignee(assignedTo);
+        const locationFields = await resolveTaskLocation({ latitude, longitude, address });
+
+        const task = await Task.create({
+            title,
+            description,
+            assignedTo,
+            ...locationFields,
+            radius: radius || config.defaultRadiusMeters,
+            windowStart,
+            windowEnd,
+            createdBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'task.create',
+            target: { type: 'task', id: task._id },
+            after: task,
+        });
+
+        res.status(201).json(withState(task));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating task:', error);
+        res.status(500).json({ message: 'Server error creating task.' });
+    }
+};
+
+// @desc    List tasks (cursor-paginated by window start, newest first; supervisors: their teams)
+// @route   GET /api/tasks
+// @access  Private/Admin, Supervisor
+// @query   assignedTo, state, from, to, limit, sort, cursor
+const getTasks = async (req, res) => {
+    try {
+        const now = new Date();
+        const filter = buildTaskFilter(req.query, await resolveUserScope(req.user), now);
+        const { items, ...pageInfo } = await findPage(Task, filter, parsePageOptions(req.query), {
+            field: 'windowStart',
+            decorate: (query) => query.populate('assignedTo', 'name email'),
+        });
+        res.json({ tasks: items.map((task) => withState(task, now)), ...pageInfo });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({ message: 'Server error fetching tasks.' });
+    }
+};
+
+// @desc    Tasks of the logged-in user; open ones (upcoming, open, overdue) by default, soonest deadline first
+// @route   GET /api/tasks/my
+// @access  Private (User)
+// @query   state (comma-separated; e.g. state=completed for the history)
+const getMyTasks = async (req, res) => {
+    try {
+        const now = new Date();
+        const filter = buildTaskFilter({ state: req.query.state || OPEN_STATES.join(',') }, [String(req.user.id)], now);
+        const tasks = await Task.find(filter).sort({ windowEnd: 1, _id: 1 });
+        res.json(tasks.map((task) => withState(task, now)));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching user tasks:', error);
+        res.status(500).json({ message: 'Server error fetching your tasks.' });
+    }
+};
+
+// @desc    Task status report: counts per state overall and per user, overdue and missed tasks
+// @route   GET /api/tasks/report
+// @access  Private/Admin, Supervisor (their teams)
+// @query   assignedTo, from, to (window overlap)
+const getTaskReport = async (req, res) => {
+    try {
+        const now = new Date();
+        // The report covers every state
+        const filter = buildTaskFilter({ ...req.query, state: undefined }, await resolveUserScope(req.user), now);
+        res.json(await buildTaskReport(filter, now));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error building task report:', error);
+        res.status(500).json({ message: 'Server error building task report.' });
+    }
+};
+
+// @desc    Get a task by ID (admins; supervisors for their teams; the assignee)
+// @route   GET /api/tasks/:id
+// @access  Private
+const getTaskById = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const task = await Task.findById(req.params.id)
+            .populate('assignedTo', 'name email')
+            .populate('completedPhoto', 'imageUrl latitude longitude accuracy timestamp');
+        // Someone else's task looks the same as a missing one
+        if (!task || !isUserInScope(await resolveUserScope(req.user), task.populated('assignedTo') || task.assignedTo)) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+        res.json(withState(task));
+    } catch (error) {
+        console.error('Error fetching task by ID:', error);
+        res.status(500).json({ message: 'Server error fetching task.' });
+    }
+};
+
+// @desc    Update a task; status: 'cancelled' cancels it, 'assigned' reopens a cancelled one
+// @route   PUT /api/tasks/:id
+// @access  Private/Admin
+const updateTask = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, assignedTo, latitude, longitude, radius, address, windowStart, windowEnd, status } = req.body;
+
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+        if (task.status === 'completed') {
+            return res.status(400).json({ message: 'A completed task cannot be changed.' });
+        }
+        checkCoordinates(req.body);
+        if (assignedTo !== undefined) {
+            await checkAssignee(assignedTo);
+        }
+
+        const before = task.toObject();
+        if (latitude !== undefined || (address !== undefined && address !== task.address)) {
+            Object.assign(task, await resolveTaskLocation({ latitude, longitude, address }));
+        }
+        task.title = title !== undefined ? title : task.title;
+        task.description = description !== undefined ? description : task.description;
+        task.assignedTo = assignedTo !== undefined ? assignedTo : task.assignedTo;
+        task.radius = radius !== undefined ? radius : task.radius;
+        task.windowStart = windowStart !== undefined ? windowStart : task.windowStart;
+        task.windowEnd = windowEnd !== undefined ? windowEnd : task.windowEnd;
+        if (status !== undefined && status !== task.status) {
+            task.status = status;
+            task.cancelledAt = status === 'cancelled' ? new Date() : undefined;
+        }
+        const updatedTask = await task.save();
+
+        await recordAudit(req, {
+            action: status === 'cancelled' && before.status !== 'cancelled' ? 'task.cancel' : 'task.update',
+            target: { type: 'task', id: updatedTask._id },
+            ...diff(before, updatedTask.toObject()),
+        });
+
+        res.json(withState(updatedTask));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating task:', error);
+        res.status(500).json({ message: 'Server error updating task.' });
+    }
+};
+
+// @desc    Delete a task (a completing photo is kept)
+// @route   DELETE /api/tasks/:id
+// @access  Private/Admin
+const deleteTask = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+        await task.deleteOne();
+
+        await recordAudit(req, {
+            action: 'task.delete',
+            target: { type: 'task', id: task._id },
+            before: task,
+        });
+
+        res.json({ message: 'Task removed' });
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        res.status(500).json({ message: 'Server error deleting task.' });
+    }
+};
+
+module.exports = {
+    validateTaskCreation,
+    validateTaskUpdate,
+    validateTaskIdParam,
+    createTask,
+    getTasks,
+    getMyTasks,
+    getTaskReport,
+    getTaskById,
+    updateTask,
+    deleteTask,
+};
@@ -0,0 +1,339 @@
+// backend/controllers/teamController.js
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { body, param, validationResult } = require('express-validator');
+const { recordAudit, diff } = require('../services/audit');
+
+// Validation for team creation
+const validateTeamCreation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Team name is required.')
+        .isLength({ max: 100 }).withMessage('Team name cannot be longer than 100 characters.')
+        .escape(),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Description cannot be longer than 500 characters.')
+        .escape(),
+    body('members')
+        .optional()
+        .isArray().withMessage('members must be an array of user IDs.'),
+    body('members.*')
+        .isMongoId().withMessage('Invalid User ID in members.'),
+    body('supervisors')
+        .optional()
+        .isArray().withMessage('supervisors must be an array of user IDs.'),
+    body('supervisors.*')
+        .isMongoId().withMessage('Invalid User ID in supervisors.'),
+];
+
+// Validation for team update (everything optional)
+const validateTeamUpdate = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Team name cannot be empty.')
+        .isLength({ max: 100 }).withMessage('Team name cannot be longer than 100 characters.')
+        .escape(),
+    ...validateTeamCreation.slice(1),
+];
+
+// Validation for adding people to a team
+const validateTeamMembership = [
+    body('userIds')
+        .isArray({ min: 1 }).withMessage('userIds must be a non-empty array of user IDs.'),
+    body('userIds.*')
+        .isMongoId().withMessage('Invalid User ID in userIds.'),
+    body('as')
+        .optional()
+        .isIn(['member', 'supervisor']).withMessage('as must be either "member" or "supervisor".'),
+];
+
+// Validation for team ID in URL parameters
+const validateTeamIdParam = [
+    param('id').isMongoId().withMessage('Invalid Team ID format.'),
+];
+
+// Validation for team ID + user ID in URL parameters
+const validateTeamMemberParams = [
+    ...validateTeamIdParam,
+    param('userId').isMongoId().withMessage('Invalid User ID format.'),
+];
+
+/**
+ * Check that every ID is an existing user and, for supervisors, that they
+ * have the 'supervisor' role. Returns an error message or null.
+ */
+const checkTeamUsers = async (userIds = [], kind = 'member') => {
+    const uniqueIds = [...new Set(userIds.map(String))];
+    if (uniqueIds.length === 0) return null;
+
+    const users = await User.find({ _id: { $in: uniqueIds } }).select('role').lean();
+    if (users.length !== uniqueIds.length) {
+        return `One or more ${kind}s do not exist.`;
+    }
+    if (kind === 'supervisor' && users.some((user) => user.role !== 'supervisor')) {
+        return 'Team supervisors must have the "supervisor" role.';
+    }
+    return null;
+};
+
+const populateTeam = (query) => query
+    .populate('members', 'name email role')
+    .populate('supervisors', 'name email');
+
+// @desc    Create a team (Admin only)
+// @route   POST /api/teams
+// @access  Private/Admin
+const createTeam = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, members = [], supervisors = [] } = req.body;
+
+    try {
+        const problem = await checkTeamUsers(members, 'member') || await checkTeamUsers(supervisors, 'supervisor');
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+        if (await Team.exists({ name })) {
+            return res.status(400).json({ message: 'A team with that name already exists' });
+        }
+
+        const team = await Team.create({
+            name,
+            description,
+            members: [...new Set(members)],
+            supervisors: [...new Set(supervisors)],
+            createdBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'team.create',
+            target: { type: 'team', id: team._id },
+            after: team,
+        });
+
+        res.status(201).json(team);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating team:', error);
+        res.status(500).json({ message: 'Server error creating team.' });
+    }
+};
+
+// @desc    Get teams (supervisors only get the teams they supervise)
+// @route   GET /api/teams
+// @access  Private/Admin, Supervisor
+const getTeams = async (req, res) => {
+    try {
+        const query = req.user.role === 'admin' ? {} : { supervisors: req.user.id };
+        const teams = await populateTeam(Team.find(query)).sort({ name: 1 });
+        res.json(teams);
+    } catch (error) {
+        console.error('Error fetching teams:', error);
+        res.status(500).json({ message: 'Server error fetching teams.' });
+    }
+};
+
+// @desc    Get team by ID (supervisors: their own teams only)
+// @route   GET /api/teams/:id
+// @access  Private/Admin, Supervisor
+const getTeamById = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const query = { _id: req.params.id };
+        if (req.user.role !== 'admin') {
+            query.supervisors = req.user.id;
+        }
+        const team = await populateTeam(Team.findOne(query));
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+        res.json(team);
+    } catch (error) {
+        console.error('Error fetching team by ID:', error);
+        res.status(500).json({ message: 'Server error fetching team.' });
+    }
+};
+
+// @desc    Update a team (name, description, full member / supervisor lists)
+// @route   PUT /api/teams/:id
+// @access  Private/Admin
+const updateTeam = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, members, supervisors } = req.body;
+
+    try {
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const problem = await checkTeamUsers(members, 'member') || await checkTeamUsers(supervisors, 'supervisor');
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+        if (name !== undefined && name !== team.name && await Team.exists({ name })) {
+            return res.status(400).json({ message: 'A team with that name already exists' });
+        }
+
+        const before = team.toObject();
+        team.name = name !== undefined ? name : team.name;
+        team.description = description !== undefined ? description : team.description;
+        team.members = members !== undefined ? [...new Set(members)] : team.members;
+        team.supervisors = supervisors !== undefined ? [...new Set(supervisors)] : team.supervisors;
+        const updatedTeam = await team.save();
+
+        await recordAudit(req, {
+            action: 'team.update',
+            target: { type: 'team', id: updatedTeam._id },
+            ...diff(before, updatedTeam.toObject()),
+        });
+
+        res.json(updatedTeam);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating team:', error);
+        res.status(500).json({ message: 'Server error updating team.' });
+    }
+};
+
+// @desc    Delete a team (its users are kept)
+// @route   DELETE /api/teams/:id
+// @access  Private/Admin
+const deleteTeam = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+        await team.deleteOne();
+
+        await recordAudit(req, {
+            action: 'team.delete',
+            target: { type: 'team', id: team._id },
+            before: team,
+        });
+
+        res.json({ message: 'Team removed' });
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        res.status(500).json({ message: 'Server error deleting team.' });
+    }
+};
+
+// @desc    Add users to a team, as members (default) or supervisors
+// @route   POST /api/teams/:id/members
+// @access  Private/Admin
+const addTeamMembers = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userIds, as = 'member' } = req.body;
+    const field = as === 'supervisor' ? 'supervisors' : 'members';
+
+    try {
+        const problem = await checkTeamUsers(userIds, as);
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+
+        const team = await populateTeam(Team.findByIdAndUpdate(
+            req.params.id,
+            { $addToSet: { [field]: { $each: userIds } } },
+            { new: true }
+        ));
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'team.member_add',
+            target: { type: 'team', id: team._id },
+            metadata: { userIds, as },
+        });
+
+        res.json(team);
+    } catch (error) {
+        console.error('Error adding team members:', error);
+        res.status(500).json({ message: 'Server error updating team membership.' });
+    }
+};
+
+// @desc    Remove a user from a team (as member and as supervisor)
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private/Admin
+const removeTeamMember = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, userId } = req.params;
+
+    try {
+        const team = await Team.findById(id);
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const wasMember = team.members.some((member) => String(member) === userId);
+        const wasSupervisor = team.supervisors.some((supervisor) => String(supervisor) === userId);
+        if (!wasMember && !wasSupervisor) {
+            return res.status(404).json({ message: 'User is not part of this team' });
+        }
+
+        team.members.pull(userId);
+        team.supervisors.pull(userId);
+        await team.save();
+
+        await recordAudit(req, {
+            action: 'team.member_remove',
+            target: { type: 'team', id: team._id },
+            metadata: { userId, wasMember, wasSupervisor },
+        });
+
+        res.json(await populateTeam(Team.findById(id)));
+    } catch (error) {
+        console.error('Error removing team member:', error);
+        res.status(500).json({ message: 'Server error updating team membership.' });
+    }
+};
+
+module.exports = {
+    validateTeamCreation,
+    validateTeamUpdate,
+    validateTeamMembership,
+    validateTeamIdParam,
+    validateTeamMemberParams,
+    createTeam,
+    getTeams,
+    getTeamById,
+    updateTeam,
+    deleteTeam,
+    addTeamMembers,
+    removeTeamMember,
+};
@@ -1,6 +1,12 @@
 // backend/controllers/userController.js
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Team = require('../models/Team');
 const bcrypt = require('bcryptjs');
+const { recordAudit, diff } = require('../services/audit');
+const { passwordPolicyValidator } = require('../services/passwordPolicy');
+const { resolveUserScope, isUserInScope } = require('../services/teamScope');
+const { publishEvent } = require('../services/events');
 // *** NEW: Import check, validationResult from express-validator ***
 const { body, validationResult, param } = require('express-validator');
 
@@ -16,10 +22,14 @@ const validateUserCreation = [
         .isEmail().withMessage('Please enter a valid email address.')
         .normalizeEmail(), // Standardize email format
     body('password')
-        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long.'),
+        .custom(passwordPolicyValidator), // Length and character classes from config/passwordPolicy.js
     body('role')
         .optional()
-        .isIn(['user', 'admin']).withMessage('Role must be either "user" or "admin".'),
+        .isIn(['user', 'supervisor', 'admin']).withMessage('Role must be "user", "supervisor" or "admin".'),
+    body('mustChangePassword')
+        .optional()
+        .isBoolean().withMessage('mustChangePassword must be a boolean.')
+        .toBoolean(),
 ];
 
 // Validation for update (password and role can be optional)
@@ -37,10 +47,14 @@ const validateUserUpdate = [
         .normalizeEmail(),
     body('password')
         .optional() // Password is optional for update
-        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long.'),
+        .custom(passwordPolicyValidator),
     body('role')
         .optional()
-        .isIn(['user', 'admin']).withMessage('Role must be either "user" or "admin".'),
+        .isIn(['user', 'supervisor', 'admin']).withMessage('Role must be "user", "supervisor" or "admin".'),
+    body('mustChangePassword')
+        .optional()
+        .isBoolean().withMessage('mustChangePassword must be a boolean.')
+        .toBoolean(),
 ];
 
 // Validation for user ID in URL parameters
@@ -48,6 +62,16 @@ const validateUserIdParam = [
     param('id').isMongoId().withMessage('Invalid User ID format.'),
 ];
 
+// Payload of 'user.created' / 'user.updated' / 'user.deleted' events (webhooks, see services/events)
+const userEventData = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    mustChangePassword: user.mustChangePassword,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+});
 
 // @desc    Create a new user (Admin only)
 // @route   POST /api/users
@@ -59,7 +83,7 @@ const createUser = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, mustChangePassword } = req.body;
 
     try {
         const userExists = await User.findOne({ email });
@@ -74,14 +98,23 @@ const createUser = async (req, res) => {
             email,
             passwordHash: password, // Mongoose pre-save hook will hash this
             role: role || 'user',
+            mustChangePassword: Boolean(mustChangePassword),
         });
 
         if (user) {
+            await recordAudit(req, {
+                action: 'user.create',
+                target: { type: 'user', id: user._id },
+                after: user,
+            });
+            publishEvent('user.created', userEventData(user));
+
             res.status(201).json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                mustChangePassword: user.mustChangePassword,
                 createdAt: user.createdAt,
             });
         } else {
@@ -93,12 +126,14 @@ const createUser = async (req, res) => {
     }
 };
 
-// @desc    Get all users (unchanged, but added type filtering)
+// @desc    Get all users (supervisors only get the members of their teams)
 // @route   GET /api/users
-// @access  Private/Admin
+// @access  Private/Admin, Supervisor
 const getAllUsers = async (req, res) => {
     try {
-        const users = await User.find({}).select('-passwordHash -refreshToken'); // Also exclude refreshToken
+        const scope = await resolveUserScope(req.user);
+        const query = scope === undefined ? {} : { _id: { $in: scope } };
+        const users = await User.find(query).select('-passwordHash -refreshToken'); // Also exclude refreshToken
         res.json(users);
     } catch (error) {
         console.error('Error fetching all users:', error);
@@ -106,9 +141,9 @@ const getAllUsers = async (req, res) => {
     }
 };
 
-// @desc    Get user by ID
+// @desc    Get user by ID (supervisors: members of their teams only)
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private/Admin, Supervisor
 const getUserById = async (req, res) => {
     // *** NEW: Check for validation errors for param ID ***
     const errors = validationResult(req);
@@ -117,7 +152,11 @@ const getUserById = async (req, res) => {
     }
 
     try {
-        const user = await User.findById(req.params.id).select('-passwordHash -refreshToken'); // Also exclude refreshToken
+        // Out-of-scope users look the same as missing ones
+        const scope = await resolveUserScope(req.user);
+        const user = isUserInScope(scope, req.params.id)
+            ? await User.findById(req.params.id).select('-passwordHash -refreshToken') // Also exclude refreshToken
+            : null;
         if (user) {
             res.json(user);
         } else {
@@ -140,28 +179,56 @@ const updateUser = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, mustChangePassword } = req.body;
 
     try {
-        const user = await User.findById(req.params.id);
+        const user = await User.findById(req.params.id).select('+passwordHistory');
 
         if (user) {
+            const before = user.toObject();
             user.name = name !== undefined ? name : user.name; // Only update if provided
             user.email = email !== undefined ? email : user.email;
             user.role = role !== undefined ? role : user.role;
 
+            user.mustChangePassword = mustChangePassword !== undefined ? mustChangePassword : user.mustChangePassword;
+
             if (password) {
+                if (await user.isPasswordReused(password)) {
+                    return res.status(400).json({ message: 'Password must not match one of the user\'s recent passwords.' });
+                }
                 // Password hashing is handled by pre-save hook in User model
-                // Just assign the new plain password, the hook will hash it
-                user.passwordHash = password; // The pre-save hook will detect this change and hash
+                // setPassword keeps the old hash in the history for the no-reuse rule
+                user.setPassword(password);
             }
 
             const updatedUser = await user.save();
+
+            // A former supervisor no longer oversees any team
+            if (before.role === 'supervisor' && updatedUser.role !== 'supervisor') {
+                await Team.updateMany({ supervisors: updatedUser._id }, { $pull: { supervisors: updatedUser._id } });
+            }
+
+            // A password reset by an admin signs the user out everywhere
+            if (password) {
+                await Session.revokeAllForUser(updatedUser._id, 'password_reset_by_admin');
+            }
+
+            // Role changes and password resets show up as changed fields
+            const changes = diff(before, updatedUser.toObject());
+            await recordAudit(req, {
+                action: 'user.update',
+                target: { type: 'user', id: updatedUser._id },
+                ...changes,
+                metadata: { changedFields: Object.keys(changes.after) },
+            });
+            publishEvent('user.updated', { ...userEventData(updatedUser), changedFields: Object.keys(changes.after) });
+
             res.json({
                 _id: updatedUser._id,
                 name: updatedUser.name,
                 email: updatedUser.email,
                 role: updatedUser.role,
+                mustChangePassword: updatedUser.mustChangePassword,
             });
         } else {
             res.status(404).json({ message: 'User not found' });
@@ -187,10 +254,17 @@ const deleteUser = async (req, res) => {
 
         if (user) {
             // Prevent admin from deleting themselves (optional but good practice)
-            if (req.user._id.toString() === user._id.toString()) {
+            if (req.user.id.toString() === user._id.toString()) {
                 return res.status(400).json({ message: "Admin cannot delete their own account via this route." });
             }
             await User.deleteOne({ _id: req.params.id });
+            await Team.removeUserEverywhere(user._id);
+            await recordAudit(req, {
+                action: 'user.delete',
+                target: { type: 'user', id: user._id },
+                before: user,
+            });
+            publishEvent('user.deleted', { ...userEventData(user), deletedBy: req.user.id });
             res.json({ message: 'User removed' });
         } else {
             res.status(404).json({ message: 'User not found' });
@@ -201,13 +275,80 @@ const deleteUser = async (req, res) => {
     }
 };
 
+// @desc    Revoke all sessions of a user (signs them out on every device)
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const revokeUserSessions = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const revoked = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+        await recordAudit(req, {
+            action: 'session.revoke_all',
+            target: { type: 'user', id: user._id },
+            metadata: { revoked },
+        });
+
+        res.json({ message: 'All sessions revoked', revoked });
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+const resetUserTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.params.id)
+            .select('+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const wasEnabled = user.twoFactorEnabled;
+        user.clearTwoFactor();
+        await user.save();
+
+        // Existing sessions were opened with the old second factor
+        const revoked = await Session.revokeAllForUser(user._id, '2fa_reset');
+        await recordAudit(req, {
+            action: 'user.2fa_reset',
+            target: { type: 'user', id: user._id },
+            metadata: { wasEnabled, revokedSessions: revoked },
+        });
+
+        res.json({ message: 'Two-factor authentication reset', revokedSessions: revoked });
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
 module.exports = {
     validateUserCreation, // Export new validation middleware
     validateUserUpdate,   // Export new validation middleware
     validateUserIdParam,  // Export new validation middleware
+    userEventData,
     createUser,
     getAllUsers,
     getUserById,
     updateUser,
     deleteUser,
+    revokeUserSessions,
+    resetUserTwoFactor,
 };
@@ -0,0 +1,308 @@
+// backend/controllers/userImportController.js
+const User = require('../models/User');
+const config = require('../config/userImport');
+const { body, query, validationResult } = require('express-validator');
+const { parseCsv } = require('../utils/csvParser');
+const { toCsvLine } = require('../utils/exportFormats');
+const { createHttpError } = require('../utils/httpError');
+const { generateTemporaryPassword } = require('../services/passwordPolicy');
+const { recordAudit } = require('../services/audit');
+const { publishEvent } = require('../services/events');
+const { validateUserCreation, userEventData } = require('./userController');
+
+const IMPORT_COLUMNS = ['name', 'email', 'role', 'password'];
+const REQUIRED_IMPORT_COLUMNS = ['name', 'email'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Export columns; the first ones match the import header, so an export can be re-imported
+const USER_EXPORT_COLUMNS = [
+    { key: 'name', value: (user) => user.name },
+    { key: 'email', value: (user) => user.email },
+    { key: 'role', value: (user) => user.role },
+    { key: 'id', value: (user) => String(user._id) },
+    { key: 'mustChangePassword', value: (user) => Boolean(user.mustChangePassword) },
+    { key: 'twoFactorEnabled', value: (user) => Boolean(user.twoFactorEnabled) },
+    { key: 'createdAt', value: (user) => (user.createdAt ? user.createdAt.toISOString() : null) },
+    { key: 'updatedAt', value: (user) => (user.updatedAt ? user.updatedAt.toISOString() : null) },
+];
+
+// Options sent as multipart fields next to the file
+const validateUserImport = [
+    body('dryRun')
+        .optional()
+        .isBoolean().withMessage('dryRun must be a boolean.')
+        .toBoolean(),
+    body('generatePasswords')
+        .optional()
+        .isBoolean().withMessage('generatePasswords must be a boolean.')
+        .toBoolean(),
+    body('mustChangePassword')
+        .optional()
+        .isBoolean().withMessage('mustChangePassword must be a boolean.')
+        .toBoolean(),
+];
+
+const validateUserExport = [
+    query('format')
+        .optional()
+        .isIn(EXPORT_FORMATS).withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}.`),
+    query('role')
+        .optional()
+        .isIn(['user', 'supervisor', 'admin']).withMessage('Role must be "user", "supervisor" or "admin".'),
+];
+
+/**
+ * Run the POST /api/users rules (validateUserCreation) on one CSV row.
+ * Resolves with the sanitized fields and the problems as { field, message }
+ * (never echoing the submitted values, which may be passwords).
+ */
+const validateImportRow = async (fields) => {
+    const rowReq = { body: fields };
+    for (const chain of validateUserCreation) {
+        await chain.run(rowReq);
+    }
+    const errors = validationResult(rowReq).array().map((error) => ({ field: error.path, message: error.msg }));
+    return { data: rowReq.body, errors };
+};
+
+/**
+ * Parse and validate the uploaded CSV. Every row gets checked against the
+ * creation rules, for emails repeated in the file and for existing accounts.
+ * Throws a 400 error for a file that cannot be read at all.
+ */
+const readImportFile = async (file, { generatePasswords }) => {
+    let records;
+    try {
+        records = parseCsv(file.buffer.toString('utf8'));
+    } catch (error) {
+        throw createHttpError(400, `Invalid CSV: ${error.message}`);
+    }
+
+    const [header = [], ...lines] = records;
+    const columns = header.map((column) => column.trim().toLowerCase());
+    const missing = REQUIRED_IMPORT_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+        throw createHttpError(400, `Missing column(s): ${missing.join(', ')}. The header row must name the columns ${IMPORT_COLUMNS.join(', ')} (role and password are optional).`);
+    }
+    if (lines.length === 0) {
+        throw createHttpError(400, 'The CSV has no user rows.');
+    }
+    if (lines.length > config.maxRows) {
+        throw createHttpError(400, `The CSV has ${lines.length} rows; import at most ${config.maxRows} at a time.`);
+    }
+
+    const cell = (line, column) => {
+        const index = columns.indexOf(column);
+        return index === -1 ? '' : line[index] ?? '';
+    };
+
+    const rows = [];
+    for (const [index, line] of lines.entries()) {
+        const email = cell(line, 'email');
+        const password = cell(line, 'password');
+        const generated = !password && Boolean(generatePasswords);
+        const { data, errors } = await validateImportRow({
+            name: cell(line, 'name'),
+            email,
+            role: cell(line, 'role').trim().toLowerCase() || undefined,
+            password: generated ? generateTemporaryPassword() : password,
+        });
+
+        const emailValid = !errors.some((error) => error.field === 'email');
+        rows.push({
+            row: index + 2, // Line 1 is the header
+            // Normalized address when valid, else as written in the file
+            email: emailValid ? data.email : email.trim(),
+            emailValid,
+            data,
+            generated,
+            errors: !password && !generated
+                ? [...errors.filter((error) => error.field !== 'password'), { field: 'password', message: 'Password is required (or import with generatePasswords=true).' }]
+                : errors,
+        });
+    }
+
+    // The same address twice in the file: the later rows are refused
+    const firstRowByEmail = new Map();
+    for (const row of rows.filter((candidate) => candidate.emailValid)) {
+        if (firstRowByEmail.has(row.email)) {
+            row.errors.push({ field: 'email', message: `Duplicate email in the file (first on row ${firstRowByEmail.get(row.email)}).` });
+        } else {
+            firstRowByEmail.set(row.email, row.row);
+        }
+    }
+
+    const existing = await User.find({ email: { $in: [...firstRowByEmail.keys()] } }).select('email').lean();
+    const existingEmails = new Set(existing.map((user) => user.email));
+    for (const row of rows) {
+        if (row.emailValid && existingEmails.has(row.email)) {
+            row.errors.push({ field: 'email', message: 'User with that email already exists' });
+        }
+    }
+
+    return {
+        rows,
+        ignoredColumns: header.filter((column, index) => column.trim() && !IMPORT_COLUMNS.includes(columns[index])),
+    };
+};
+
+const rowSummary = ({ row, email, errors }) => ({
+    row,
+    email,
+    status: errors.length > 0 ? 'invalid' : 'valid',
+    errors,
+});
+
+// @desc    Create users from a CSV (name, email, role, password); all rows must be valid
+// @route   POST /api/users/import  (multipart: file, dryRun, generatePasswords, mustChangePassword)
+// @access  Private/Admin
+const importUsers = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.file) {
+        return res.status(400).json({ message: 'Upload the CSV as the "file" field.' });
+    }
+
+    const { dryRun = false, generatePasswords = false, mustChangePassword = false } = req.body;
+
+    try {
+        const { rows, ignoredColumns } = await readImportFile(req.file, { generatePasswords });
+        const invalid = rows.filter((row) => row.errors.length > 0);
+        const summary = { total: rows.length, valid: rows.length - invalid.length, invalid: invalid.length, ignoredColumns };
+
+        if (dryRun) {
+            return res.json({ dryRun: true, ...summary, rows: rows.map(rowSummary) });
+        }
+        // All or nothing, so a half-imported file never has to be untangled
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                message: 'No users were imported; fix the rows below (dryRun=true checks a file without importing it).',
+                ...summary,
+                rows: invalid.map(rowSummary),
+            });
+        }
+
+        // create() rather than insertMany() so the pre-save hook hashes each password
+        const results = await User.create(rows.map(({ data, generated }) => ({
+            name: data.name,
+            email: data.email,
+            passwordHash: data.password,
+            role: data.role || 'user',
+            // A generated password is only a way in: it has to be replaced
+            mustChangePassword: generated || Boolean(mustChangePassword),
+        })), { aggregateErrors: true });
+
+        const users = [];
+        const failed = [];
+        for (const [index, result] of results.entries()) {
+            const row = rows[index];
+            if (result instanceof Error) {
+                let error;
+                if (result.code === 11000) {
+                    // Lost a race with another request creating the same email
+                    error = { field: 'email', message: 'User with that email already exists' };
+                } else if (result.name === 'ValidationError') {
+                    const [field] = Object.keys(result.errors);
+                    error = { field, message: result.errors[field].message };
+                } else {
+                    console.error(`Error importing user on row ${row.row}:`, result);
+                    error = { field: null, message: 'Server error creating this user.' };
+                }
+                failed.push({ row: row.row, email: row.email, status: 'failed', errors: [error] });
+                continue;
+            }
+
+            await recordAudit(req, {
+                action: 'user.create',
+                target: { type: 'user', id: result._id },
+                after: result,
+                metadata: { source: 'import', row: row.row },
+            });
+            publishEvent('user.created', userEventData(result));
+
+            users.push({
+                row: row.row,
+                _id: result._id,
+                name: result.name,
+                email: result.email,
+                role: result.role,
+                mustChangePassword: result.mustChangePassword,
+                createdAt: result.createdAt,
+                // Shown this once only; only the hash is stored
+                ...(row.generated ? { temporaryPassword: row.data.password } : {}),
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'user.import',
+            target: { type: 'user' },
+            metadata: {
+                file: req.file.originalname,
+                rows: rows.length,
+                created: users.length,
+                failed: failed.length,
+                generatedPasswords: users.filter((user) => user.temporaryPassword).length,
+            },
+        });
+
+        // The response may carry temporary passwords
+        res.set('Cache-Control', 'no-store');
+        res.status(users.length > 0 ? 201 : 400).json({
+            created: users.length,
+            failed: failed.length,
+            ignoredColumns,
+            users,
+            errors: failed,
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error importing users:', error);
+        res.status(500).json({ message: 'Server error importing users.' });
+    }
+};
+
+// @desc    Export users as CSV or JSON (?format=csv|json, ?role=)
+// @route   GET /api/users/export
+// @access  Private/Admin
+const exportUsers = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = req.query.format || 'csv';
+    const filter = req.query.role ? { role: req.query.role } : {};
+
+    try {
+        const users = await User.find(filter).select('-passwordHash').sort({ createdAt: 1, _id: 1 }).lean();
+        const rows = users.map((user) => Object.fromEntries(
+            USER_EXPORT_COLUMNS.map((column) => [column.key, column.value(user)])
+        ));
+
+        if (format === 'json') {
+            res.attachment('users.json');
+            return res.json(rows);
+        }
+
+        res.header('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment('users.csv');
+        res.send(
+            toCsvLine(USER_EXPORT_COLUMNS.map((column) => column.key))
+            + rows.map((row) => toCsvLine(USER_EXPORT_COLUMNS.map((column) => row[column.key]))).join('')
+        );
+    } catch (error) {
+        console.error('Error exporting users:', error);
+        res.status(500).json({ message: 'Server error exporting users.' });
+    }
+};
+
+module.exports = {
+    validateUserImport,
+    validateUserExport,
+    importUsers,
+    exportUsers,
+};
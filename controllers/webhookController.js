@@ -0,0 +1,390 @@
+// backend/controllers/webhookController.js
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { body, param, query, validationResult } = require('express-validator');
+const { recordAudit, diff } = require('../services/audit');
+const { parsePageOptions, findPage } = require('../utils/pagination');
+const {
+    WEBHOOK_EVENT_TYPES,
+    generateWebhookSecret,
+    enqueuePing,
+    replayDelivery: queueReplay,
+    runWorker,
+} = require('../services/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+// Validation for webhook creation
+const validateWebhookCreation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Webhook name is required.')
+        .isLength({ max: 100 }).withMessage('Webhook name cannot be longer than 100 characters.')
+        .escape(),
+    body('url')
+        .trim()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('url must be an absolute http(s) URL.'),
+    body('events')
+        .isArray({ min: 1 }).withMessage('events must be a non-empty array of event types.'),
+    body('events.*')
+        .isIn(WEBHOOK_EVENT_TYPES).withMessage(`Event types must be among: ${WEBHOOK_EVENT_TYPES.join(', ')}.`),
+    body('secret')
+        .optional()
+        .isString()
+        .isLength({ min: 16, max: 256 }).withMessage('secret must be between 16 and 256 characters.'),
+    body('active')
+        .optional()
+        .isBoolean().withMessage('active must be a boolean.')
+        .toBoolean(),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Description cannot be longer than 500 characters.')
+        .escape(),
+];
+
+// Validation for webhook update (everything optional, plus rotateSecret)
+const validateWebhookUpdate = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Webhook name cannot be empty.')
+        .isLength({ max: 100 }).withMessage('Webhook name cannot be longer than 100 characters.')
+        .escape(),
+    body('url')
+        .optional()
+        .trim()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('url must be an absolute http(s) URL.'),
+    body('events')
+        .optional()
+        .isArray({ min: 1 }).withMessage('events must be a non-empty array of event types.'),
+    ...validateWebhookCreation.slice(3),
+    body('rotateSecret')
+        .optional()
+        .isBoolean().withMessage('rotateSecret must be a boolean.')
+        .toBoolean(),
+];
+
+// Validation for webhook ID in URL parameters
+const validateWebhookIdParam = [
+    param('id').isMongoId().withMessage('Invalid Webhook ID format.'),
+];
+
+// Validation for delivery ID in URL parameters
+const validateDeliveryIdParam = [
+    param('deliveryId').isMongoId().withMessage('Invalid Delivery ID format.'),
+];
+
+// Validation for the delivery log filters
+const validateDeliveryQuery = [
+    query('status')
+        .optional()
+        .isIn(DELIVERY_STATUSES).withMessage(`status must be one of: ${DELIVERY_STATUSES.join(', ')}.`),
+    query('eventType')
+        .optional()
+        .isString(),
+];
+
+// The secret is only ever returned by create, and by update when rotated
+const withSecret = (webhook, secret) => ({ ...webhook.toObject(), secret });
+
+// Delivery counts per status, for each of the given webhook ObjectIds
+const deliveryCounts = async (webhookIds) => {
+    const rows = await WebhookDelivery.aggregate([
+        { $match: { webhook: { $in: webhookIds } } },
+        { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+    const counts = new Map();
+    for (const { _id, count } of rows) {
+        const key = String(_id.webhook);
+        if (!counts.has(key)) counts.set(key, {});
+        counts.get(key)[_id.status] = count;
+    }
+    return counts;
+};
+
+// @desc    Create a webhook subscription (a secret is generated unless one is given)
+// @route   POST /api/webhooks
+// @access  Private/Admin
+const createWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, events, secret, active, description } = req.body;
+
+    try {
+        const webhook = await Webhook.create({
+            name,
+            url,
+            events: [...new Set(events)],
+            secret: secret || generateWebhookSecret(),
+            active,
+            description,
+            createdBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'webhook.create',
+            target: { type: 'webhook', id: webhook._id },
+            after: webhook,
+        });
+
+        res.status(201).json(withSecret(webhook, webhook.secret));
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ message: 'Server error creating webhook.' });
+    }
+};
+
+// @desc    List webhook subscriptions with their delivery counts per status
+// @route   GET /api/webhooks
+// @access  Private/Admin
+const getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ name: 1 }).lean();
+        const counts = await deliveryCounts(webhooks.map((webhook) => webhook._id));
+        res.json(webhooks.map((webhook) => ({ ...webhook, deliveries: counts.get(String(webhook._id)) || {} })));
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ message: 'Server error fetching webhooks.' });
+    }
+};
+
+// @desc    Get a webhook subscription by ID
+// @route   GET /api/webhooks/:id
+// @access  Private/Admin
+const getWebhookById = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const webhook = await Webhook.findById(req.params.id).lean();
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        const counts = await deliveryCounts([webhook._id]);
+        res.json({ ...webhook, deliveries: counts.get(String(webhook._id)) || {} });
+    } catch (error) {
+        console.error('Error fetching webhook by ID:', error);
+        res.status(500).json({ message: 'Server error fetching webhook.' });
+    }
+};
+
+// @desc    Update a webhook subscription; rotateSecret: true issues a new secret
+// @route   PUT /api/webhooks/:id
+// @access  Private/Admin
+const updateWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, events, secret, active, description, rotateSecret } = req.body;
+
+    try {
+        const webhook = await Webhook.findById(req.params.id).select('+secret');
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const before = webhook.toObject();
+        webhook.name = name !== undefined ? name : webhook.name;
+        webhook.url = url !== undefined ? url : webhook.url;
+        webhook.events = events !== undefined ? [...new Set(events)] : webhook.events;
+        webhook.active = active !== undefined ? active : webhook.active;
+        webhook.description = description !== undefined ? description : webhook.description;
+        const secretChanged = Boolean(secret || rotateSecret);
+        if (secretChanged) {
+            webhook.secret = secret || generateWebhookSecret();
+        }
+        const updatedWebhook = await webhook.save();
+
+        await recordAudit(req, {
+            action: 'webhook.update',
+            target: { type: 'webhook', id: updatedWebhook._id },
+            ...diff(before, updatedWebhook.toObject()),
+        });
+
+        res.json(withSecret(updatedWebhook, secretChanged ? updatedWebhook.secret : undefined));
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ message: 'Server error updating webhook.' });
+    }
+};
+
+// @desc    Delete a webhook subscription and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private/Admin
+const deleteWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const webhook = await Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        await webhook.deleteOne();
+        const { deletedCount } = await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+        await recordAudit(req, {
+            action: 'webhook.delete',
+            target: { type: 'webhook', id: webhook._id },
+            before: webhook,
+            metadata: { deliveriesRemoved: deletedCount },
+        });
+
+        res.json({ message: 'Webhook removed' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ message: 'Server error deleting webhook.' });
+    }
+};
+
+// @desc    Send a 'webhook.ping' event to the target, to check the URL and signature handling
+// @route   POST /api/webhooks/:id/test
+// @access  Private/Admin
+const testWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const webhook = await Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        if (!webhook.active) {
+            return res.status(400).json({ message: 'Webhook is disabled.' });
+        }
+        const delivery = await enqueuePing(webhook, req.user);
+        runWorker();
+        res.status(202).json(delivery);
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ message: 'Server error testing webhook.' });
+    }
+};
+
+// @desc    Delivery log of a webhook (cursor-paginated, newest first)
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private/Admin
+// @query   status, eventType, limit, sort, cursor
+const getWebhookDeliveries = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!await Webhook.exists({ _id: req.params.id })) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const filter = { webhook: req.params.id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.eventType) filter.eventType = String(req.query.eventType);
+
+        const { items, ...pageInfo } = await findPage(WebhookDelivery, filter, parsePageOptions(req.query), {
+            field: 'createdAt',
+            decorate: (query) => query.select('-payload -attemptLog').lean(),
+        });
+        res.json({ deliveries: items, ...pageInfo });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ message: 'Server error fetching webhook deliveries.' });
+    }
+};
+
+// @desc    One delivery with its payload and every attempt
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @access  Private/Admin
+const getDeliveryById = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+            .populate('webhook', 'name url')
+            .lean();
+        if (!delivery) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        res.json(delivery);
+    } catch (error) {
+        console.error('Error fetching webhook delivery:', error);
+        res.status(500).json({ message: 'Server error fetching webhook delivery.' });
+    }
+};
+
+// @desc    Send a delivery's event again, as a new delivery
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @access  Private/Admin
+const replayDelivery = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        const webhook = await Webhook.findById(delivery.webhook).select('active');
+        if (!webhook || !webhook.active) {
+            return res.status(400).json({ message: 'Webhook is disabled.' });
+        }
+
+        const replay = await queueReplay(delivery, req.user);
+        runWorker();
+
+        await recordAudit(req, {
+            action: 'webhook.replay',
+            target: { type: 'webhook', id: delivery.webhook },
+            metadata: { deliveryId: delivery._id, replayId: replay._id, eventId: delivery.eventId, eventType: delivery.eventType },
+        });
+
+        res.status(202).json(replay);
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({ message: 'Server error replaying webhook delivery.' });
+    }
+};
+
+module.exports = {
+    validateWebhookCreation,
+    validateWebhookUpdate,
+    validateWebhookIdParam,
+    validateDeliveryIdParam,
+    validateDeliveryQuery,
+    createWebhook,
+    getWebhooks,
+    getWebhookById,
+    updateWebhook,
+    deleteWebhook,
+    testWebhook,
+    getWebhookDeliveries,
+    getDeliveryById,
+    replayDelivery,
+};
@@ -4,12 +4,15 @@
  **************************************************************************/
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
- * @desc    Protect routes - verifies JWT and attaches user to req.user
- * @access  Private
+ * @desc    Build the JWT check. Users with pending account setup (a required
+ *          password change, or 2FA enrollment required for admins) are refused
+ *          everywhere except where allowPendingSetup is set.
+ *          allowQueryToken also accepts ?access_token= (EventSource cannot send headers).
  */
-const protect = async (req, res, next) => {
+const authenticate = ({ allowPendingSetup = false, allowQueryToken = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -17,6 +20,8 @@ const protect = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
       token = authHeader.split(' ')[1];
+    } else if (allowQueryToken && typeof req.query.access_token === 'string') {
+      token = req.query.access_token;
     }
 
     if (!token) {
@@ -32,18 +37,46 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, token invalid or expired' });
     }
 
-    // 3️⃣  Fetch the user but exclude sensitive fields
+    // 3️⃣  Reject tokens whose device session was revoked (or that predate sessions)
+    const sessionActive = decoded.sid
+      && await Session.exists(Session.activeFilter({ _id: decoded.sid, userId: decoded.id }));
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Not authorized, session revoked or expired' });
+    }
+
+    // 4️⃣  Fetch the user but exclude sensitive fields
     const user = await User.findById(decoded.id).select('-passwordHash -__v');
     if (!user) {
       return res.status(401).json({ message: 'User not found, authorization denied' });
     }
 
-    // 4️⃣  Attach sanitized user object
+    // 5️⃣  Hold the account until a required password change / 2FA enrollment is done
+    if (user.mustChangePassword && !allowPendingSetup) {
+      return res.status(403).json({
+        message: 'Password change required before continuing',
+        mustChangePassword: true,
+      });
+    }
+    const twoFactorSetupRequired = user.requiresTwoFactorSetup();
+    if (twoFactorSetupRequired && !allowPendingSetup) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up before continuing',
+        twoFactorSetupRequired: true,
+      });
+    }
+
+    // 6️⃣  Attach sanitized user object
     req.user = {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      sessionId: decoded.sid,
+      mustChangePassword: user.mustChangePassword,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired,
+      // Long-lived connections (live feed) end when the access token does
+      tokenExpiresAt: new Date(decoded.exp * 1000),
     };
 
     next();
@@ -53,6 +86,24 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Protect routes - verifies JWT and attaches user to req.user
+ * @access  Private
+ */
+const protect = authenticate();
+
+/**
+ * @desc    Like protect, but also lets in users who must change their password
+ *          or enroll in 2FA (profile, change-password and 2FA setup routes)
+ */
+const protectAllowingPendingSetup = authenticate({ allowPendingSetup: true });
+
+/**
+ * @desc    Like protect, for Server-Sent Events: the token may also come
+ *          from the access_token query parameter
+ */
+const protectStream = authenticate({ allowQueryToken: true });
+
 /**
  * @desc    Restrict route access to specific roles
  * @usage   router.get('/admin', protect, authorize('admin'))
@@ -73,4 +124,4 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-module.exports = { protect, authorizeRoles };
+module.exports = { protect, protectAllowingPendingSetup, protectStream, authorizeRoles };
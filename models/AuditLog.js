@@ -0,0 +1,64 @@
+/***************************************************************************
+ * AuditLog Model
+ * Append-only record of administrative, destructive and authentication
+ * actions. Entries are written through services/audit.js and can never be
+ * updated or deleted through Mongoose.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who did it (null for anonymous events such as failed logins)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Snapshot of the actor, kept even if the user is deleted later
+    actorName: { type: String },
+    actorEmail: { type: String },
+    // e.g. 'user.create', 'user.update', 'photo.delete', 'auth.login_failed'
+    action: { type: String, required: true },
+    targetType: { type: String },
+    targetId: { type: mongoose.Schema.Types.ObjectId },
+    // Changed fields only, with secrets redacted
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    // Free-form context (e.g. the username tried on a failed login)
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+/* ---------------------------------------------------------------------- */
+/*                      Append-only Guards                                */
+/* ---------------------------------------------------------------------- */
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: true, query: true },
+  appendOnly
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
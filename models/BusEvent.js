@@ -0,0 +1,27 @@
+/***************************************************************************
+ * BusEvent Model
+ * Capped collection the 'mongo' event bus adapter uses to share events
+ * between server instances (see services/events/mongoAdapter.js).
+ * Old events fall off automatically once the collection is full.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const busEventSchema = new mongoose.Schema(
+  {
+    // Server instance that published the event (it already delivered it locally)
+    origin: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+    occurredAt: { type: Date, required: true },
+  },
+  {
+    capped: {
+      size: Number(process.env.EVENT_BUS_CAPPED_SIZE_BYTES) || 16 * 1024 * 1024,
+      max: Number(process.env.EVENT_BUS_CAPPED_MAX) || 10000,
+    },
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('BusEvent', busEventSchema);
@@ -0,0 +1,26 @@
+/***************************************************************************
+ * GeocodeCache Model
+ * Reverse geocoding results per provider and rounded coordinate cell,
+ * so the same spot is never looked up twice. Expired entries are removed
+ * by MongoDB (TTL index on expiresAt).
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const geocodeCacheSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    // "<lat>,<lng>" rounded to config/geocoding.js cachePrecision
+    key: { type: String, required: true },
+    // false when the provider found nothing at this spot
+    found: { type: Boolean, required: true },
+    displayName: { type: String },
+    components: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+geocodeCacheSchema.index({ provider: 1, key: 1 }, { unique: true });
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
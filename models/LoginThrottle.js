@@ -0,0 +1,31 @@
+/***************************************************************************
+ * LoginThrottle Model
+ * Failed login counters, one row per account (username) and per client IP.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    // Lower-cased username, or the client IP
+    identifier: { type: String, required: true },
+    failures: { type: Number, default: 0 },
+    windowStartedAt: { type: Date },
+    lastFailureAt: { type: Date },
+    lockedUntil: { type: Date },
+    lockCount: { type: Number, default: 0 },
+    // Dropped by MongoDB once the counters no longer matter
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ kind: 1, identifier: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
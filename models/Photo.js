@@ -1,5 +1,92 @@
 // models/Photo.js
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+const { hammingDistance, hashBands, maxDistance } = require('../utils/hashBands');
+
+// GeoJSON Point ([longitude, latitude]) used for geospatial queries
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+    },
+    coordinates: {
+        type: [Number],
+        required: true,
+    },
+}, { _id: false });
+
+// Values read from the image's own EXIF metadata
+const exifSchema = new mongoose.Schema({
+    latitude: Number,
+    longitude: Number,
+    takenAt: Date,
+    make: String,
+    model: String,
+}, { _id: false });
+
+// How far the EXIF disagrees with the reported position/time (see services/exif.js)
+const exifCheckSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['consistent', 'mismatch', 'no_exif'],
+    },
+    distanceMeters: Number,
+    timeSkewSeconds: Number,
+    score: Number,
+}, { _id: false });
+
+// Structured address from reverse geocoding (see services/geocoding)
+const addressComponentsSchema = new mongoose.Schema({
+    houseNumber: String,
+    street: String,
+    suburb: String,
+    city: String,
+    county: String,
+    state: String,
+    postcode: String,
+    country: String,
+    countryCode: String,
+}, { _id: false });
+
+// Reviewer verdict (see controllers/photoReviewController.js); photos stored
+// before reviews existed have none and count as pending
+const reviewSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+    },
+    // Required when rejected
+    reason: String,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reviewedAt: Date,
+}, { _id: false });
+
+// Comment thread entry; `parent` is the _id of the comment it replies to
+const commentSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    body: {
+        type: String,
+        trim: true,
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // A deleted comment with replies keeps its place in the thread without its body
+    deletedAt: Date,
+});
 
 const photoSchema = new mongoose.Schema({
     userId: {
@@ -11,10 +98,17 @@ const photoSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
-    // *** NEW FIELD: Store Cloudinary Public ID for deletion ***
+    // Where the image lives (see services/storage)
+    storageProvider: {
+        type: String,
+        enum: ['cloudinary', 'local', 's3'],
+    },
+    storageKey: {
+        type: String,
+    },
+    // Legacy: Cloudinary public ID of photos stored before the storage layer
     cloudinaryPublicId: {
         type: String,
-        required: true, // Assuming every uploaded photo gets a public ID
     },
     latitude: {
         type: Number,
@@ -31,10 +125,173 @@ const photoSchema = new mongoose.Schema({
     address: {
         type: String,
     },
+    addressComponents: {
+        type: addressComponentsSchema,
+    },
+    // 'client' when the app sent the address, 'geocoder' when the server looked it up
+    addressSource: {
+        type: String,
+        enum: ['client', 'geocoder'],
+    },
+    // Last server-side geocoding attempt (set even when nothing was found)
+    geocodedAt: {
+        type: Date,
+    },
+    // Derived from latitude/longitude (kept in sync by the pre-validate hook)
+    location: {
+        type: pointSchema,
+    },
+    // Geofence check against the uploader's assigned sites (set on upload)
+    site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Site',
+    },
+    geofenceStatus: {
+        type: String,
+        enum: ['inside', 'outside', 'unassigned'],
+    },
+    exif: {
+        type: exifSchema,
+    },
+    exifCheck: {
+        type: exifCheckSchema,
+    },
+    // dHash of the image and its bands (see services/perceptualHash.js)
+    perceptualHash: {
+        type: String,
+    },
+    hashBands: {
+        type: [String],
+        default: undefined,
+        select: false,
+    },
+    // Earlier photo this one is a near-duplicate of (flagged at upload)
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Photo',
+    },
+    duplicateDistance: {
+        type: Number,
+    },
+    review: {
+        type: reviewSchema,
+        default: () => ({}),
+    },
+    // Free-form labels, stored lowercase
+    tags: {
+        type: [String],
+        default: undefined,
+    },
+    comments: {
+        type: [commentSchema],
+        default: undefined,
+    },
+    // Visit task this photo completed (see models/Task.js)
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+    },
+    // Soft delete: set when the photo is moved to the trash
+    deletedAt: {
+        type: Date,
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    // Set once a purge has started deleting the image; such a photo cannot be restored
+    purging: {
+        type: Boolean,
+    },
+    // Client-generated UUID making uploads idempotent (offline sync retries)
+    clientId: {
+        type: String,
+    },
+    // Capture time reported by the device (photos synced after the fact)
+    capturedAt: {
+        type: Date,
+    },
+    // When the server received the upload
+    receivedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Capture time when known, receive time otherwise (used for sorting/filtering)
     timestamp: {
         type: Date,
         default: Date.now,
     },
 });
 
+photoSchema.index({ location: '2dsphere' });
+photoSchema.index({ geofenceStatus: 1, timestamp: -1 });
+photoSchema.index({ 'exifCheck.status': 1, timestamp: -1 });
+photoSchema.index({ hashBands: 1 });
+photoSchema.index({ duplicateOf: 1 });
+photoSchema.index({ task: 1 }, { sparse: true });
+photoSchema.index({ 'review.status': 1, timestamp: -1 });
+photoSchema.index({ tags: 1 });
+photoSchema.index({ deletedAt: 1 });
+photoSchema.index(
+    { userId: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+// Support the (timestamp, _id) cursor ordering used by the listing endpoints
+photoSchema.index({ timestamp: -1, _id: -1 });
+photoSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+
+// Keep derived fields in sync: GeoJSON location and perceptual hash bands
+photoSchema.pre('validate', function (next) {
+    if (this.isNew || this.isModified('latitude') || this.isModified('longitude')) {
+        if (this.latitude != null && this.longitude != null) {
+            this.location = toGeoPoint(this.latitude, this.longitude);
+        }
+    }
+    if (this.isModified('perceptualHash')) {
+        this.hashBands = this.perceptualHash ? hashBands(this.perceptualHash) : undefined;
+    }
+    next();
+});
+
+// Band-sharing photos checked per upload. Degenerate images (dark or uniform
+// frames) all share the same bands; past this many only the earliest are compared.
+const NEAR_DUPLICATE_CANDIDATE_LIMIT = 500;
+
+/**
+ * Find the earliest stored photo whose image is a near-duplicate of `hash`.
+ * Resolves with { photo, distance } or null.
+ */
+photoSchema.statics.findNearDuplicate = async function (hash) {
+    const candidates = await this.find({ hashBands: { $in: hashBands(hash) }, deletedAt: null })
+        .select('perceptualHash userId timestamp')
+        .sort({ timestamp: 1 })
+        .limit(NEAR_DUPLICATE_CANDIDATE_LIMIT)
+        .lean();
+
+    const threshold = maxDistance();
+    for (const candidate of candidates) {
+        const distance = hammingDistance(hash, candidate.perceptualHash);
+        if (distance <= threshold) {
+            return { photo: candidate, distance };
+        }
+    }
+    return null;
+};
+
+/**
+ * Fill in `location` for documents created before the field existed.
+ * Safe to run repeatedly (only touches documents without a location).
+ */
+photoSchema.statics.backfillLocations = async function () {
+    const result = await this.updateMany(
+        {
+            location: { $exists: false },
+            latitude: { $type: 'number' },
+            longitude: { $type: 'number' },
+        },
+        [{ $set: { location: { type: 'Point', coordinates: ['$longitude', '$latitude'] } } }]
+    );
+    return result.modifiedCount;
+};
+
 module.exports = mongoose.model('Photo', photoSchema);
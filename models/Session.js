@@ -0,0 +1,76 @@
+/***************************************************************************
+ * Session Model
+ * One row per signed-in device. Holds the hash of the device's current
+ * (rotating) refresh token; access tokens carry the session ID so that
+ * revoking a session cuts its access immediately.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token (never the token itself)
+    refreshTokenHash: { type: String, required: true, select: false },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB drops sessions (revoked or not) once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* ---------------------------------------------------------------------- */
+/*                      Instance Methods                                  */
+/* ---------------------------------------------------------------------- */
+
+// Store the hash of a newly issued refresh token
+sessionSchema.methods.setRefreshToken = function (token) {
+  this.refreshTokenHash = hashToken(token);
+};
+
+// Whether a refresh token is the current one for this session
+sessionSchema.methods.isRefreshTokenValid = function (token) {
+  const expected = Buffer.from(this.refreshTokenHash || '', 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/* ---------------------------------------------------------------------- */
+/*                      Static Methods                                    */
+/* ---------------------------------------------------------------------- */
+
+// Filter matching the sessions that can still be used
+sessionSchema.statics.activeFilter = (extra = {}) => ({
+  ...extra,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Revoke every active session of a user. Resolves with the number revoked.
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId) {
+  const filter = this.activeFilter({ userId });
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
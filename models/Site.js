@@ -0,0 +1,100 @@
+/***************************************************************************
+ * Site Model
+ * A work location with a geofence: either a polygon or a center + radius.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+const { haversineDistance, isPointInRing } = require('../utils/geo');
+
+const siteSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a site name'],
+      trim: true,
+    },
+    shape: {
+      type: String,
+      enum: ['polygon', 'circle'],
+      required: true,
+    },
+    // GeoJSON Polygon, set when shape === 'polygon'
+    area: {
+      type: {
+        type: String,
+        enum: ['Polygon'],
+      },
+      coordinates: { type: [[[Number]]], default: undefined },
+    },
+    // GeoJSON Point + radius in meters, set when shape === 'circle'
+    center: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: { type: [Number], default: undefined },
+    },
+    radius: {
+      type: Number,
+      min: [1, 'Radius must be at least 1 meter'],
+    },
+    assignedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+siteSchema.index({ area: '2dsphere' });
+siteSchema.index({ center: '2dsphere' });
+siteSchema.index({ assignedUsers: 1 });
+
+// Make sure the geometry matching the shape is present
+siteSchema.pre('validate', function (next) {
+  if (this.shape === 'polygon' && !this.area?.coordinates?.length) {
+    this.invalidate('area', 'A polygon site needs an area');
+  }
+  if (this.shape === 'circle' && (!this.center?.coordinates?.length || !this.radius)) {
+    this.invalidate('center', 'A circle site needs a center and a radius');
+  }
+  next();
+});
+
+/* ---------------------------------------------------------------------- */
+/*                      Instance Methods                                  */
+/* ---------------------------------------------------------------------- */
+
+// Whether the given position falls inside this site's geofence
+siteSchema.methods.containsPoint = function (latitude, longitude) {
+  if (this.shape === 'circle') {
+    const [centerLng, centerLat] = this.center.coordinates;
+    return haversineDistance(latitude, longitude, centerLat, centerLng) <= this.radius;
+  }
+  const [outerRing] = this.area.coordinates;
+  return isPointInRing(longitude, latitude, outerRing);
+};
+
+/* ---------------------------------------------------------------------- */
+/*                      Static Methods                                    */
+/* ---------------------------------------------------------------------- */
+
+/**
+ * Resolve the geofence status of a position for a user:
+ *   - 'inside'     + site: falls inside one of the user's assigned sites
+ *   - 'outside'           : user has assigned sites but is outside all of them
+ *   - 'unassigned'        : user has no active assigned site
+ */
+siteSchema.statics.resolveForUser = async function (userId, latitude, longitude) {
+  const sites = await this.find({ active: true, assignedUsers: userId });
+  if (sites.length === 0) {
+    return { site: null, geofenceStatus: 'unassigned' };
+  }
+  const match = sites.find((site) => site.containsPoint(Number(latitude), Number(longitude)));
+  return match
+    ? { site: match._id, geofenceStatus: 'inside' }
+    : { site: null, geofenceStatus: 'outside' };
+};
+
+module.exports = mongoose.model('Site', siteSchema);
@@ -0,0 +1,179 @@
+/***************************************************************************
+ * Task Model
+ * A visit assigned to a field user: be within `radius` meters of `location`
+ * between windowStart and windowEnd, and prove it with a photo.
+ *
+ * `status` is what is stored (assigned | completed | cancelled); the state
+ * reported to clients also depends on the clock:
+ *   upcoming   assigned, window not open yet
+ *   open       assigned, window open
+ *   overdue    assigned, window closed less than TASK_LATE_SYNC_GRACE_HOURS ago
+ *   missed     assigned, window closed longer ago than that
+ *   completed | cancelled
+ ***************************************************************************/
+const mongoose = require('mongoose');
+const config = require('../config/tasks');
+const { haversineDistance } = require('../utils/geo');
+
+const taskSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please provide a task title'],
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Please assign the task to a user'],
+    },
+    // GeoJSON Point ([longitude, latitude]) to visit
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: { type: [Number], required: true },
+    },
+    radius: {
+      type: Number,
+      required: true,
+      min: [1, 'Radius must be at least 1 meter'],
+    },
+    address: { type: String, trim: true },
+    // True when the coordinates were looked up from the address
+    geocoded: { type: Boolean, default: false },
+    windowStart: { type: Date, required: true },
+    windowEnd: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ['assigned', 'completed', 'cancelled'],
+      default: 'assigned',
+    },
+    // Set when a photo completes the task
+    completedAt: { type: Date },
+    completedPhoto: { type: mongoose.Schema.Types.ObjectId, ref: 'Photo' },
+    // clientId of the upload that completed it (its retries may complete it again)
+    completedClientId: { type: String },
+    completionDistance: { type: Number },
+    cancelledAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+taskSchema.index({ location: '2dsphere' });
+taskSchema.index({ assignedTo: 1, status: 1, windowEnd: 1 });
+taskSchema.index({ status: 1, windowEnd: 1 });
+// Support the (windowStart, _id) cursor ordering of the listing endpoint
+taskSchema.index({ windowStart: -1, _id: -1 });
+
+taskSchema.pre('validate', function (next) {
+  if (this.windowStart && this.windowEnd && this.windowEnd <= this.windowStart) {
+    this.invalidate('windowEnd', 'windowEnd must be after windowStart');
+  }
+  next();
+});
+
+/* ---------------------------------------------------------------------- */
+/*                      Instance Methods                                  */
+/* ---------------------------------------------------------------------- */
+
+// State of the task at `now` (see the header comment)
+taskSchema.methods.stateAt = function (now = new Date()) {
+  if (this.status !== 'assigned') return this.status;
+  if (now < this.windowStart) return 'upcoming';
+  if (now <= this.windowEnd) return 'open';
+  if (now - this.windowEnd <= config.lateSyncGraceMs) return 'overdue';
+  return 'missed';
+};
+
+/**
+ * Check whether a photo taken at `timestamp` from (latitude, longitude) and
+ * received by the server at `receivedAt` completes this task. Resolves to
+ * { distance } when it does, or { distance, reason, message } explaining why not:
+ *   task_completed | task_cancelled | task_missed | before_window | after_window | outside_radius
+ * `timestamp` comes from the client, so an upload arriving once the task is
+ * missed is refused whatever capture time it claims.
+ */
+taskSchema.methods.evaluateVisit = function ({ latitude, longitude, timestamp, receivedAt = new Date() }) {
+  const [taskLng, taskLat] = this.location.coordinates;
+  const distance = Math.round(haversineDistance(Number(latitude), Number(longitude), taskLat, taskLng));
+  const taken = new Date(timestamp);
+
+  if (this.status === 'completed') {
+    return { distance, reason: 'task_completed', message: 'This task has already been completed.' };
+  }
+  if (this.status === 'cancelled') {
+    return { distance, reason: 'task_cancelled', message: 'This task has been cancelled.' };
+  }
+  if (this.stateAt(new Date(receivedAt)) === 'missed') {
+    return {
+      distance,
+      reason: 'task_missed',
+      message: `This task was missed: its window closed at ${this.windowEnd.toISOString()} and late uploads are only accepted for ${Math.round(config.lateSyncGraceMs / 3600000)} h.`,
+    };
+  }
+  if (taken < this.windowStart) {
+    return {
+      distance,
+      reason: 'before_window',
+      message: `Photo was taken at ${taken.toISOString()}, before the task window opens at ${this.windowStart.toISOString()}.`,
+    };
+  }
+  if (taken > this.windowEnd) {
+    return {
+      distance,
+      reason: 'after_window',
+      message: `Photo was taken at ${taken.toISOString()}, after the task window closed at ${this.windowEnd.toISOString()}.`,
+    };
+  }
+  if (distance > this.radius) {
+    return {
+      distance,
+      reason: 'outside_radius',
+      message: `Photo was taken ${distance} m from the task location; it must be within ${this.radius} m.`,
+    };
+  }
+  return { distance };
+};
+
+/* ---------------------------------------------------------------------- */
+/*                      Static Methods                                    */
+/* ---------------------------------------------------------------------- */
+
+// Query conditions matching tasks in `state` at `now`
+taskSchema.statics.stateFilter = function (state, now = new Date()) {
+  const graceCutoff = new Date(now.getTime() - config.lateSyncGraceMs);
+  switch (state) {
+    case 'upcoming':
+      return { status: 'assigned', windowStart: { $gt: now } };
+    case 'open':
+      return { status: 'assigned', windowStart: { $lte: now }, windowEnd: { $gte: now } };
+    case 'overdue':
+      return { status: 'assigned', windowEnd: { $lt: now, $gte: graceCutoff } };
+    case 'missed':
+      return { status: 'assigned', windowEnd: { $lt: graceCutoff } };
+    default:
+      return { status: state };
+  }
+};
+
+// Aggregation expression computing the state of a task document at `now`
+taskSchema.statics.stateExpression = function (now = new Date()) {
+  return {
+    $switch: {
+      branches: [
+        { case: { $ne: ['$status', 'assigned'] }, then: '$status' },
+        { case: { $gt: ['$windowStart', now] }, then: 'upcoming' },
+        { case: { $gte: ['$windowEnd', now] }, then: 'open' },
+        { case: { $gte: ['$windowEnd', new Date(now.getTime() - config.lateSyncGraceMs)] }, then: 'overdue' },
+      ],
+      default: 'missed',
+    },
+  };
+};
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,46 @@
+/***************************************************************************
+ * Team Model
+ * A group of field users, overseen by one or more supervisors.
+ * Supervisors only see the photos and users of the teams they supervise.
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a team name'],
+      unique: true,
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Users with the 'supervisor' role who oversee this team
+    supervisors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+teamSchema.index({ members: 1 });
+teamSchema.index({ supervisors: 1 });
+
+/* ---------------------------------------------------------------------- */
+/*                      Static Methods                                    */
+/* ---------------------------------------------------------------------- */
+
+// IDs (as strings) of every member of the teams supervised by a user
+teamSchema.statics.memberIdsSupervisedBy = async function (supervisorId) {
+  const ids = await this.distinct('members', { supervisors: supervisorId });
+  return ids.map(String);
+};
+
+// Forget a deleted user in every team
+teamSchema.statics.removeUserEverywhere = function (userId) {
+  return this.updateMany(
+    { $or: [{ members: userId }, { supervisors: userId }] },
+    { $pull: { members: userId, supervisors: userId } }
+  );
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -3,7 +3,10 @@
  ***************************************************************************/
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const crypto = require('crypto'); // for hashing refresh tokens safely
+const crypto = require('crypto'); // for password reset tokens
+const passwordPolicy = require('../config/passwordPolicy');
+const twoFactorConfig = require('../config/twoFactor');
+const totp = require('../services/totp');
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,18 +27,35 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Please provide a password'],
       minlength: 6,
     },
+    // supervisor: sees the photos and users of the teams they supervise (models/Team.js)
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ['user', 'supervisor', 'admin'],
       default: 'user',
     },
 
-    /**
-     * Store the hashed refresh token so that even if
-     * MongoDB leaks, tokens can’t be reused by attackers.
-     * (Not selected by default for safety)
-     */
-    refreshTokenHash: { type: String, select: false },
+    // Refresh tokens live in the Session model (one per device)
+
+    // Previous password hashes, newest first (for the no-reuse rule)
+    passwordHistory: { type: [String], select: false, default: [] },
+    passwordChangedAt: { type: Date },
+    // Set by an admin: the user must pick a new password before using the API
+    mustChangePassword: { type: Boolean, default: false },
+
+    // Self-service reset: only the SHA-256 of the emailed token is stored
+    passwordResetTokenHash: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+
+    // TOTP two-factor authentication (see services/totp.js)
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorEnabledAt: { type: Date },
+    twoFactorSecret: { type: String, select: false },
+    // Secret generated at enrollment, promoted to twoFactorSecret once a code is verified
+    twoFactorPendingSecret: { type: String, select: false },
+    // SHA-256 of the unused recovery codes
+    twoFactorRecoveryCodes: { type: [String], select: false, default: [] },
+    // Last accepted time step, so a code cannot be used twice
+    twoFactorLastUsedStep: { type: Number, select: false },
   },
   { timestamps: true }
 );
@@ -59,21 +79,92 @@ userSchema.pre('save', async function (next) {
 });
 
 /**
- * Hash and store the refresh token
- * (called after issuing new refresh tokens)
+ * Set a new plain password (hashed by the pre-save hook), remembering the
+ * current hash in the password history.
+ * Load the user with '+passwordHistory' so the history is kept.
+ */
+userSchema.methods.setPassword = function (plainPassword) {
+  if (this.passwordHash && !this.isModified('passwordHash')) {
+    this.passwordHistory = [this.passwordHash, ...(this.passwordHistory || [])]
+      .slice(0, passwordPolicy.historySize);
+  }
+  this.passwordHash = plainPassword;
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+/**
+ * Whether a plain password matches the current one or one of the last
+ * `historySize` passwords. Load the user with '+passwordHistory'.
+ */
+userSchema.methods.isPasswordReused = async function (plainPassword) {
+  if (passwordPolicy.historySize <= 0) return false;
+  const hashes = [this.passwordHash, ...(this.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, passwordPolicy.historySize);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(plainPassword, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Create a password reset token: stores its hash and expiry,
+ * returns the plain token to email (call save() afterwards).
  */
-userSchema.methods.setRefreshToken = async function (token) {
-  const hash = crypto.createHash('sha256').update(token).digest('hex');
-  this.refreshTokenHash = hash;
-  await this.save();
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + passwordPolicy.resetTokenTtlMs);
+  return token;
 };
 
 /**
- * Check whether a given refresh token matches the saved one
+ * Whether the account has to enroll in 2FA before using the API.
  */
-userSchema.methods.isRefreshTokenValid = function (token) {
-  const hash = crypto.createHash('sha256').update(token).digest('hex');
-  return hash === this.refreshTokenHash;
+userSchema.methods.requiresTwoFactorSetup = function () {
+  return this.role === 'admin' && twoFactorConfig.requiredForAdmins && !this.twoFactorEnabled;
 };
 
+/**
+ * Check a second factor: either a TOTP code or a single-use recovery code.
+ * Returns 'totp', 'recovery' or null (call save() afterwards on success).
+ * Load the user with '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'.
+ */
+userSchema.methods.verifySecondFactor = function ({ code, recoveryCode } = {}) {
+  if (!this.twoFactorEnabled) return null;
+
+  if (code) {
+    const step = totp.verifyCode(this.twoFactorSecret, code, {
+      afterStep: this.twoFactorLastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const codes = this.twoFactorRecoveryCodes || [];
+    if (!codes.includes(hash)) return null;
+    this.twoFactorRecoveryCodes = codes.filter((stored) => stored !== hash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Turn 2FA off and forget the secret and recovery codes
+userSchema.methods.clearTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
+userSchema.statics.hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,41 @@
+/***************************************************************************
+ * Webhook Model
+ * An admin-managed subscription: matching events are POSTed to `url`,
+ * signed with HMAC-SHA256 using `secret` (see services/webhooks.js).
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a webhook name'],
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'Please provide a target URL'],
+      trim: true,
+    },
+    events: {
+      type: [{
+        type: String,
+        enum: ['photo.created', 'photo.deleted', 'user.created', 'user.updated', 'user.deleted'],
+      }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event type',
+      },
+    },
+    // Shared signing secret; only shown when created or rotated
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    description: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,55 @@
+/***************************************************************************
+ * WebhookDelivery Model
+ * One event to send to one webhook: the persistent retry queue and the
+ * delivery log at the same time (see services/webhooks.js).
+ *
+ *   pending     waiting for its first attempt or a retry (nextAttemptAt)
+ *   delivering  claimed by a worker until lockedUntil
+ *   succeeded   the target answered 2xx
+ *   failed      gave up after the maximum number of attempts
+ ***************************************************************************/
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    durationMs: { type: Number },
+    responseStatus: { type: Number },
+    // Start of the response body, for troubleshooting
+    responseBody: { type: String },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    // The event is stored as sent so a delivery can be replayed later
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    attemptLog: [attemptSchema],
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    // Set on deliveries created by a replay
+    replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+    replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+// Queue polling
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+// Delivery log per webhook
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
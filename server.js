@@ -13,17 +13,50 @@ const cookieParser = require('cookie-parser');
 const path = require('path');
 
 const connectDB = require('./config/db');
+const { trustProxy } = require('./config/proxy');
+const { startTrashPurgeJob } = require('./services/trash');
+const { startEventBus } = require('./services/events');
+const { startWebhookWorker } = require('./services/webhooks');
+const { assertMailConfigured } = require('./services/mailer');
 const authRoutes = require('./Routes/authRoutes');
 const photoRoutes = require('./Routes/photoRoutes');
 const userRoutes = require('./Routes/userRoutes');
+const siteRoutes = require('./Routes/siteRoutes');
+const auditRoutes = require('./Routes/auditRoutes');
+const teamRoutes = require('./Routes/teamRoutes');
+const reportRoutes = require('./Routes/reportRoutes');
+const analyticsRoutes = require('./Routes/analyticsRoutes');
+const feedRoutes = require('./Routes/feedRoutes');
+const webhookRoutes = require('./Routes/webhookRoutes');
+const taskRoutes = require('./Routes/taskRoutes');
 
 const app = express();
 
+// Reverse proxies in front of the app (TRUST_PROXY, see config/proxy.js), so
+// req.ip is the client's address. Login lockouts per IP depend on it (config/loginProtection.js).
+if (trustProxy !== undefined) {
+  app.set('trust proxy', trustProxy);
+}
+
+// Refuse to start without a usable mail driver and APP_URL (password reset links)
+try {
+  assertMailConfigured();
+} catch (err) {
+  console.error('❌ Mail configuration error:', err.message);
+  process.exit(1);
+}
+
 /* ---------------------------------------------------------------------- */
 /* Database Connection                                                    */
 /* ---------------------------------------------------------------------- */
 connectDB()
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    console.log('✅ MongoDB connected');
+    startTrashPurgeJob(); // Purge photos trashed longer than TRASH_RETENTION_DAYS
+    // Share live feed events between instances (EVENT_BUS_ADAPTER)
+    startEventBus().catch((err) => console.error('❌ Event bus failed to start', err.message));
+    startWebhookWorker(); // Queue and send outbound webhook deliveries
+  })
   .catch((err) => {
     console.error('❌ MongoDB connection failed', err.message);
     process.exit(1);
@@ -69,12 +102,36 @@ app.use(limiter);
 
 
 
+// Serve images stored by the local storage driver
+if ((process.env.STORAGE_DRIVER || '').toLowerCase() === 'local') {
+  const { rootDir, publicBaseUrl } = require('./services/storage/localDriver');
+  const mountPath = new URL(publicBaseUrl(), 'http://localhost').pathname;
+  app.use(mountPath, express.static(rootDir(), {
+    fallthrough: false,
+    setHeaders: (res) => {
+      // Let the frontend (another origin) display the images
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      // Never let a stored file be sniffed or run as a page
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    },
+  }));
+}
+
 /* ---------------------------------------------------------------------- */
 /* API Routes                                                             */
 /* ---------------------------------------------------------------------- */
 app.use('/api/auth', authRoutes);
 app.use('/api/photos', photoRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tasks', taskRoutes);
 
 /* ---------------------------------------------------------------------- */
 /* Health Check & Root                                                    */
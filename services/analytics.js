@@ -0,0 +1,302 @@
+// backend/services/analytics.js
+// Aggregation pipelines behind the analytics endpoints.
+// Every function takes a photo filter from utils/photoQuery.js, already scoped
+// to the users the caller may see.
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const config = require('../config/analytics');
+const { createHttpError } = require('../utils/httpError');
+const { parseBoundingBox, geohashCellSize, encodeGeohash } = require('../utils/geo');
+
+const INTERVAL_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V', // ISO week, e.g. 2024-W09
+    month: '%Y-%m',
+};
+const HEATMAP_MODES = ['geohash', 'grid'];
+
+// $match stage for a photo filter (aggregate() does not cast string IDs itself)
+const matchStage = (filter) => ({ $match: Photo.find().cast(Photo, filter) });
+
+// Attach { _id, name, email } of each row's userId
+const withUsers = async (rows) => {
+    const users = await User.find({ _id: { $in: rows.map((row) => row.userId) } }).select('name email').lean();
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+    return rows.map(({ userId, ...row }) => ({ user: usersById.get(String(userId)) || { _id: userId }, ...row }));
+};
+
+/**
+ * Photo counts per period (day | week | month), per user and in total.
+ * Resolves with [{ period, total, users: [{ user, count }] }], oldest period first.
+ */
+const activityByPeriod = async (filter, { interval, timezone }) => {
+    const format = INTERVAL_FORMATS[interval];
+    if (!format) {
+        throw createHttpError(400, `interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}.`);
+    }
+
+    const rows = await Photo.aggregate([
+        matchStage(filter),
+        {
+            $group: {
+                _id: {
+                    period: { $dateToString: { format, date: '$timestamp', timezone } },
+                    userId: '$userId',
+                },
+                count: { $sum: 1 },
+            },
+        },
+        { $project: { _id: 0, period: '$_id.period', userId: '$_id.userId', count: 1 } },
+        { $sort: { period: 1, count: -1 } },
+    ]);
+
+    const periods = new Map();
+    for (const row of await withUsers(rows)) {
+        if (!periods.has(row.period)) {
+            periods.set(row.period, { period: row.period, total: 0, users: [] });
+        }
+        const period = periods.get(row.period);
+        period.total += row.count;
+        period.users.push({ user: row.user, count: row.count });
+    }
+    return [...periods.values()];
+};
+
+/**
+ * Users ranked by photo count, with the number of distinct active days.
+ */
+const leaderboard = async (filter, { timezone, limit }) => {
+    const rows = await Photo.aggregate([
+        matchStage(filter),
+        {
+            $group: {
+                _id: '$userId',
+                photoCount: { $sum: 1 },
+                days: { $addToSet: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } } },
+                firstPhotoAt: { $min: '$timestamp' },
+                lastPhotoAt: { $max: '$timestamp' },
+                averageAccuracy: { $avg: '$accuracy' },
+            },
+        },
+        { $sort: { photoCount: -1, _id: 1 } },
+        { $limit: limit },
+        {
+            $project: {
+                _id: 0,
+                userId: '$_id',
+                photoCount: 1,
+                activeDays: { $size: '$days' },
+                firstPhotoAt: 1,
+                lastPhotoAt: 1,
+                averageAccuracy: { $round: ['$averageAccuracy', 1] },
+            },
+        },
+    ]);
+    return (await withUsers(rows)).map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+/**
+ * Photo counts per local hour of the day (0-23), every hour present.
+ */
+const activityByHour = async (filter, { timezone }) => {
+    const rows = await Photo.aggregate([
+        matchStage(filter),
+        { $group: { _id: { $hour: { date: '$timestamp', timezone } }, count: { $sum: 1 } } },
+    ]);
+    const counts = new Map(rows.map((row) => [row._id, row.count]));
+    return Array.from({ length: 24 }, (unused, hour) => ({ hour, count: counts.get(hour) || 0 }));
+};
+
+/**
+ * Histogram of reported GPS accuracy (meters) plus summary statistics.
+ */
+const accuracyDistribution = async (filter) => {
+    const boundaries = [0, ...config.accuracyBuckets];
+    const overflowLabel = `>${boundaries[boundaries.length - 1]}`;
+
+    const [result] = await Photo.aggregate([
+        matchStage(filter),
+        {
+            $facet: {
+                buckets: [
+                    {
+                        $bucket: {
+                            groupBy: '$accuracy',
+                            boundaries: [...boundaries, Number.MAX_VALUE],
+                            default: 'unknown',
+                            output: { count: { $sum: 1 } },
+                        },
+                    },
+                ],
+                stats: [
+                    {
+                        $group: {
+                            _id: null,
+                            count: { $sum: 1 },
+                            average: { $avg: '$accuracy' },
+                            min: { $min: '$accuracy' },
+                            max: { $max: '$accuracy' },
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const counts = new Map(result.buckets.map((bucket) => [bucket._id, bucket.count]));
+    const buckets = boundaries.map((lower, index) => {
+        const upper = boundaries[index + 1];
+        return {
+            label: upper === undefined ? overflowLabel : `${lower}-${upper}`,
+            min: lower,
+            max: upper ?? null,
+            count: counts.get(lower) || 0,
+        };
+    });
+    if (counts.has('unknown')) {
+        buckets.push({ label: 'unknown', min: null, max: null, count: counts.get('unknown') });
+    }
+
+    const stats = result.stats[0] || { count: 0, average: null, min: null, max: null };
+    return {
+        buckets,
+        count: stats.count,
+        average: stats.average === null ? null : Math.round(stats.average * 10) / 10,
+        min: stats.min,
+        max: stats.max,
+    };
+};
+
+/**
+ * Split the users matching `userQuery` into active (at least one photo matching
+ * `filter`) and inactive, with each inactive user's last photo ever.
+ */
+const activeUsers = async (filter, userQuery) => {
+    const users = await User.find(userQuery).select('name email role').sort({ name: 1 }).lean();
+    const userIds = users.map((user) => user._id);
+
+    const [activeRows, lastRows] = await Promise.all([
+        Photo.aggregate([
+            matchStage({ ...filter, userId: { $in: userIds } }),
+            { $group: { _id: '$userId', photoCount: { $sum: 1 }, lastPhotoAt: { $max: '$timestamp' } } },
+        ]),
+        Photo.aggregate([
+            matchStage({ deletedAt: null, userId: { $in: userIds } }),
+            { $group: { _id: '$userId', lastPhotoAt: { $max: '$timestamp' } } },
+        ]),
+    ]);
+
+    const activeById = new Map(activeRows.map((row) => [String(row._id), row]));
+    const lastById = new Map(lastRows.map((row) => [String(row._id), row.lastPhotoAt]));
+
+    const active = [];
+    const inactive = [];
+    for (const user of users) {
+        const row = activeById.get(String(user._id));
+        if (row) {
+            active.push({ user, photoCount: row.photoCount, lastPhotoAt: row.lastPhotoAt });
+        } else {
+            inactive.push({ user, lastPhotoAt: lastById.get(String(user._id)) || null });
+        }
+    }
+    active.sort((a, b) => b.photoCount - a.photoCount);
+
+    return {
+        totalUsers: users.length,
+        activeCount: active.length,
+        inactiveCount: inactive.length,
+        active,
+        inactive,
+    };
+};
+
+/**
+ * Bin photo locations inside a bounding box.
+ *   mode=geohash  cells are geohashes of `precision` characters (1-9)
+ *   mode=grid     cells are `cellSize` degrees squares anchored at the bbox corner
+ * Resolves with { mode, bbox, cellWidth, cellHeight, cells, total, maxCount }.
+ */
+const heatmap = async (filter, { bbox, mode = 'geohash', precision, cellSize }) => {
+    if (!bbox) {
+        throw createHttpError(400, 'bbox is required ("minLng,minLat,maxLng,maxLat").');
+    }
+    if (!HEATMAP_MODES.includes(mode)) {
+        throw createHttpError(400, `mode must be one of: ${HEATMAP_MODES.join(', ')}.`);
+    }
+    const [[minLng, minLat], , [maxLng, maxLat]] = parseBoundingBox(bbox).coordinates[0];
+
+    let origin;
+    let cellWidth;
+    let cellHeight;
+    if (mode === 'geohash') {
+        const length = precision === undefined || precision === '' ? 5 : Number(precision);
+        if (!Number.isInteger(length) || length < 1 || length > 9) {
+            throw createHttpError(400, 'precision must be an integer between 1 and 9.');
+        }
+        ({ lngDegrees: cellWidth, latDegrees: cellHeight } = geohashCellSize(length));
+        origin = [-180, -90];
+        precision = length;
+    } else {
+        const size = Number(cellSize);
+        if (!Number.isFinite(size) || size <= 0) {
+            throw createHttpError(400, 'cellSize (degrees) must be a positive number for mode=grid.');
+        }
+        cellWidth = size;
+        cellHeight = size;
+        origin = [minLng, minLat];
+    }
+
+    const possibleCells = Math.ceil((maxLng - minLng) / cellWidth + 1) * Math.ceil((maxLat - minLat) / cellHeight + 1);
+    if (possibleCells > config.heatmapMaxCells) {
+        throw createHttpError(400, `Too many cells (${possibleCells}); use a smaller bbox or coarser cells (max ${config.heatmapMaxCells}).`);
+    }
+
+    const rows = await Photo.aggregate([
+        matchStage(filter),
+        {
+            $group: {
+                _id: {
+                    x: { $floor: { $divide: [{ $subtract: ['$longitude', origin[0]] }, cellWidth] } },
+                    y: { $floor: { $divide: [{ $subtract: ['$latitude', origin[1]] }, cellHeight] } },
+                },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+
+    const cells = rows.map(({ _id: { x, y }, count }) => {
+        const west = origin[0] + x * cellWidth;
+        const south = origin[1] + y * cellHeight;
+        const latitude = south + cellHeight / 2;
+        const longitude = west + cellWidth / 2;
+        return {
+            key: mode === 'geohash' ? encodeGeohash(latitude, longitude, precision) : `${x}:${y}`,
+            latitude,
+            longitude,
+            bounds: [west, south, west + cellWidth, south + cellHeight],
+            count,
+        };
+    }).sort((a, b) => b.count - a.count);
+
+    return {
+        mode,
+        precision: mode === 'geohash' ? precision : undefined,
+        bbox: [minLng, minLat, maxLng, maxLat],
+        cellWidth,
+        cellHeight,
+        cells,
+        total: cells.reduce((sum, cell) => sum + cell.count, 0),
+        maxCount: cells.length ? cells[0].count : 0,
+    };
+};
+
+module.exports = {
+    INTERVAL_FORMATS,
+    HEATMAP_MODES,
+    activityByPeriod,
+    leaderboard,
+    activityByHour,
+    accuracyDistribution,
+    activeUsers,
+    heatmap,
+};
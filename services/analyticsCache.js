@@ -0,0 +1,45 @@
+// backend/services/analyticsCache.js
+// Short-lived in-memory cache for analytics results (per server process).
+// Concurrent requests for the same key share one computation; failures are not cached.
+const config = require('../config/analytics');
+
+const entries = new Map(); // key -> { expiresAt, promise }
+
+const evictExpired = (now) => {
+    for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+    }
+};
+
+/**
+ * Return the cached value for `key`, or run `compute` and cache its result.
+ * Resolves with { value, hit }.
+ */
+const cached = async (key, compute, ttlMs = config.cacheTtlMs) => {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now) {
+        return { value: await entry.promise, hit: true };
+    }
+
+    const promise = Promise.resolve().then(compute);
+    entries.set(key, { expiresAt: now + ttlMs, promise });
+    promise.catch(() => {
+        if (entries.get(key)?.promise === promise) entries.delete(key);
+    });
+
+    if (entries.size > config.cacheMaxEntries) {
+        evictExpired(now);
+        // Still full: drop the oldest entries (Map keeps insertion order)
+        for (const oldest of entries.keys()) {
+            if (entries.size <= config.cacheMaxEntries) break;
+            entries.delete(oldest);
+        }
+    }
+
+    return { value: await promise, hit: false };
+};
+
+const clearAnalyticsCache = () => entries.clear();
+
+module.exports = { cached, clearAnalyticsCache };
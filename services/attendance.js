@@ -0,0 +1,228 @@
+// backend/services/attendance.js
+// Attendance derived from photo check-ins: one row per user per day
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const config = require('../config/attendance');
+const { createHttpError } = require('../utils/httpError');
+const { DAY_MS, assertTimezone, localParts, zonedDayBounds, listDays, weekdayOf } = require('../utils/timezone');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseClock = (value, label) => {
+    const match = CLOCK_PATTERN.exec(String(value));
+    if (!match) {
+        throw createHttpError(400, `${label} must be a time in HH:mm format.`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const parseWorkingDays = (value) => {
+    const days = Array.isArray(value) ? value.map(Number) : String(value).split(',').map((day) => Number(day.trim()));
+    if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw createHttpError(400, 'workingDays must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday).');
+    }
+    return [...new Set(days)];
+};
+
+/**
+ * Read the report options from the query string, falling back to
+ * config/attendance.js:
+ *   from, to      required, YYYY-MM-DD (local days in `timezone`)
+ *   timezone      IANA name
+ *   start, end    working hours, HH:mm
+ *   grace         minutes of tolerance for the late / early flags
+ *   workingDays   e.g. 1,2,3,4,5
+ */
+const parseAttendanceOptions = (query = {}) => {
+    const { from, to } = query;
+    if (!DATE_ONLY_PATTERN.test(from || '') || !DATE_ONLY_PATTERN.test(to || '')) {
+        throw createHttpError(400, 'from and to are required dates in YYYY-MM-DD format.');
+    }
+    if (isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+        throw createHttpError(400, 'Invalid from or to date.');
+    }
+    if (from > to) {
+        throw createHttpError(400, 'from must be before to.');
+    }
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (rangeDays > config.maxRangeDays) {
+        throw createHttpError(400, `The date range cannot be longer than ${config.maxRangeDays} days.`);
+    }
+
+    const graceMinutes = query.grace !== undefined && query.grace !== '' ? Number(query.grace) : config.graceMinutes;
+    if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+        throw createHttpError(400, 'grace must be a non-negative number of minutes.');
+    }
+
+    const options = {
+        from,
+        to,
+        timezone: assertTimezone(query.timezone || config.timezone),
+        workdayStart: query.start || config.workdayStart,
+        workdayEnd: query.end || config.workdayEnd,
+        graceMinutes,
+        workingDays: parseWorkingDays(query.workingDays || config.workingDays),
+    };
+    if (parseClock(options.workdayStart, 'start') >= parseClock(options.workdayEnd, 'end')) {
+        throw createHttpError(400, 'start must be before end.');
+    }
+    return options;
+};
+
+const photoSummary = {
+    _id: '$_id',
+    timestamp: '$timestamp',
+    imageUrl: '$imageUrl',
+    latitude: '$latitude',
+    longitude: '$longitude',
+    site: '$site',
+    geofenceStatus: '$geofenceStatus',
+};
+
+// Photos taken outside an assigned site's geofence do not count as time on site
+const onSiteTimestamp = { $cond: [{ $ne: ['$geofenceStatus', 'outside'] }, '$timestamp', null] };
+
+// Group the matching photos per user and local day
+const aggregateDays = (filter, { from, to, timezone }) => Photo.aggregate([
+    {
+        $match: {
+            ...Photo.find().cast(Photo, filter),
+            timestamp: {
+                $gte: zonedDayBounds(from, timezone).start,
+                $lt: zonedDayBounds(to, timezone).end,
+            },
+        },
+    },
+    { $sort: { timestamp: 1, _id: 1 } },
+    {
+        $group: {
+            _id: {
+                userId: '$userId',
+                day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+            },
+            photoCount: { $sum: 1 },
+            firstPhoto: { $first: photoSummary },
+            lastPhoto: { $last: photoSummary },
+            firstOnSite: { $min: onSiteTimestamp },
+            lastOnSite: { $max: onSiteTimestamp },
+        },
+    },
+]);
+
+const minutesBetween = (start, end) => Math.round((end - start) / 60000);
+
+/**
+ * Build the attendance report.
+ * `filter` is a photo filter from utils/photoQuery.js (already scoped to the
+ * caller's visible users); its timestamp condition is replaced by the range.
+ * Users with a role of 'user' (or the users the filter names) get a row for
+ * every day, so days without any photo show up as absent.
+ */
+const buildAttendanceReport = async (filter, options) => {
+    const { from, to, timezone, workdayStart, workdayEnd, graceMinutes, workingDays } = options;
+    const { timestamp, ...photoFilter } = filter;
+    const groups = await aggregateDays(photoFilter, options);
+
+    const userQuery = photoFilter.userId
+        ? { _id: photoFilter.userId }
+        : { $or: [{ role: 'user' }, { _id: { $in: groups.map((group) => group._id.userId) } }] };
+    const users = await User.find(userQuery).select('name email role').sort({ name: 1 }).lean();
+
+    const groupsByKey = new Map(groups.map((group) => [`${group._id.userId}|${group._id.day}`, group]));
+    const latestAfter = parseClock(workdayStart, 'start') + graceMinutes;
+    const earliestBefore = parseClock(workdayEnd, 'end') - graceMinutes;
+    const today = localParts(new Date(), timezone).day;
+    const days = listDays(from, to).filter((day) => day <= today);
+
+    const rows = users.map((user) => {
+        const dayRows = days.map((day) => {
+            const group = groupsByKey.get(`${user._id}|${day}`);
+            const workingDay = workingDays.includes(weekdayOf(day));
+
+            if (!group) {
+                return {
+                    date: day,
+                    workingDay,
+                    status: workingDay ? 'absent' : 'off',
+                    photoCount: 0,
+                    firstPhoto: null,
+                    lastPhoto: null,
+                    firstLocalTime: null,
+                    lastLocalTime: null,
+                    timeOnSiteMinutes: 0,
+                    lateArrival: false,
+                    earlyDeparture: false,
+                };
+            }
+
+            const firstLocalTime = localParts(group.firstPhoto.timestamp, timezone).time;
+            const lastLocalTime = localParts(group.lastPhoto.timestamp, timezone).time;
+            return {
+                date: day,
+                workingDay,
+                status: 'present',
+                photoCount: group.photoCount,
+                firstPhoto: group.firstPhoto,
+                lastPhoto: group.lastPhoto,
+                firstLocalTime,
+                lastLocalTime,
+                timeOnSiteMinutes: group.firstOnSite ? minutesBetween(group.firstOnSite, group.lastOnSite) : 0,
+                lateArrival: workingDay && parseClock(firstLocalTime, 'time') > latestAfter,
+                earlyDeparture: workingDay && parseClock(lastLocalTime, 'time') < earliestBefore,
+            };
+        });
+
+        return {
+            user,
+            days: dayRows,
+            summary: {
+                workingDays: dayRows.filter((row) => row.workingDay).length,
+                daysPresent: dayRows.filter((row) => row.status === 'present').length,
+                daysAbsent: dayRows.filter((row) => row.status === 'absent').length,
+                lateArrivals: dayRows.filter((row) => row.lateArrival).length,
+                earlyDepartures: dayRows.filter((row) => row.earlyDeparture).length,
+                photoCount: dayRows.reduce((sum, row) => sum + row.photoCount, 0),
+                timeOnSiteMinutes: dayRows.reduce((sum, row) => sum + row.timeOnSiteMinutes, 0),
+            },
+        };
+    });
+
+    return {
+        from,
+        to,
+        timezone,
+        workingHours: { start: workdayStart, end: workdayEnd, graceMinutes, workingDays },
+        users: rows,
+    };
+};
+
+const yesNo = (value) => (value ? 'yes' : 'no');
+
+/**
+ * Flat columns for CSV / XLSX, one line per user per day.
+ * `row` is a day row with its `user` attached.
+ */
+const ATTENDANCE_COLUMNS = [
+    { key: 'userName', header: 'User Name', width: 24, value: (row) => row.user.name },
+    { key: 'userEmail', header: 'User Email', width: 30, value: (row) => row.user.email },
+    { key: 'date', header: 'Date', width: 12, value: (row) => row.date },
+    { key: 'status', header: 'Status', width: 10, value: (row) => row.status },
+    { key: 'photoCount', header: 'Photos', width: 8, value: (row) => row.photoCount },
+    { key: 'firstTime', header: 'First Photo', width: 12, value: (row) => row.firstLocalTime ?? '' },
+    { key: 'lastTime', header: 'Last Photo', width: 12, value: (row) => row.lastLocalTime ?? '' },
+    { key: 'timeOnSite', header: 'Time On Site (min)', width: 18, value: (row) => row.timeOnSiteMinutes },
+    { key: 'late', header: 'Late Arrival', width: 12, value: (row) => yesNo(row.lateArrival) },
+    { key: 'early', header: 'Early Departure', width: 15, value: (row) => yesNo(row.earlyDeparture) },
+    { key: 'firstImage', header: 'First Photo URL', width: 40, value: (row) => row.firstPhoto?.imageUrl ?? '' },
+    { key: 'lastImage', header: 'Last Photo URL', width: 40, value: (row) => row.lastPhoto?.imageUrl ?? '' },
+];
+
+const flattenAttendance = (report) => report.users.flatMap(({ user, days }) => days.map((day) => ({ ...day, user })));
+
+module.exports = {
+    parseAttendanceOptions,
+    buildAttendanceReport,
+    flattenAttendance,
+    ATTENDANCE_COLUMNS,
+};
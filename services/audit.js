@@ -0,0 +1,69 @@
+// backend/services/audit.js
+// Helpers to write AuditLog entries from the controllers.
+const AuditLog = require('../models/AuditLog');
+
+// Field names whose values must never reach the audit log
+const SECRET_KEY_PATTERN = /password|secret|token|totp|recovery/i;
+const REDACTED = '[REDACTED]';
+
+// Plain object copy of a document with secrets replaced by REDACTED
+const redact = (value) => {
+    if (value === null || value === undefined) return value;
+    if (Array.isArray(value)) return value.map(redact);
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return String(value);
+
+    const source = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+    return Object.fromEntries(
+        Object.entries(source)
+            .filter(([key]) => key !== '__v')
+            .map(([key, field]) => [key, SECRET_KEY_PATTERN.test(key) && field ? REDACTED : redact(field)])
+    );
+};
+
+/**
+ * Keep only the fields that differ between two redacted snapshots.
+ * Secrets still show up as changed (both sides REDACTED) when their raw value changed.
+ */
+const diff = (before = {}, after = {}) => {
+    const rawBefore = before && typeof before.toObject === 'function' ? before.toObject() : before || {};
+    const rawAfter = after && typeof after.toObject === 'function' ? after.toObject() : after || {};
+    const keys = new Set([...Object.keys(rawBefore), ...Object.keys(rawAfter)]);
+    keys.delete('updatedAt');
+    keys.delete('__v');
+
+    const changed = [...keys].filter((key) => JSON.stringify(rawBefore[key]) !== JSON.stringify(rawAfter[key]));
+    const pick = (source) => redact(Object.fromEntries(changed.filter((key) => key in source).map((key) => [key, source[key]])));
+    return { before: pick(rawBefore), after: pick(rawAfter) };
+};
+
+/**
+ * Append an entry to the audit log. Never throws: a failure to audit is
+ * logged but must not break the action being audited.
+ *
+ *   action   'user.update', 'photo.delete', ...
+ *   actor    user doing it (defaults to req.user)
+ *   target   { type, id }
+ *   before / after  documents or plain objects (redacted here)
+ */
+const recordAudit = async (req, { action, actor = req?.user, target = {}, before, after, metadata }) => {
+    try {
+        await AuditLog.create({
+            actor: actor?.id || actor?._id,
+            actorName: actor?.name,
+            actorEmail: actor?.email,
+            action,
+            targetType: target.type,
+            targetId: target.id,
+            before: redact(before),
+            after: redact(after),
+            metadata: redact(metadata),
+            ip: req?.ip,
+            userAgent: req?.get?.('user-agent'),
+        });
+    } catch (error) {
+        console.error(`Failed to write audit log entry for ${action}:`, error);
+    }
+};
+
+module.exports = { REDACTED, redact, diff, recordAudit };
@@ -0,0 +1,85 @@
+// backend/services/events/index.js
+// In-process event bus. Controllers publish domain events ('photo.created',
+// 'photo.deleted', ...); the live feed and other consumers subscribe.
+// EVENT_BUS_ADAPTER (memory | mongo, default: memory) decides how events
+// reach the other server instances.
+//
+// Every adapter implements:
+//   start({ instanceId, onEvent })   begin receiving other instances' events
+//   publish(event, { instanceId })   send a locally published event to the others
+//   stop()
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const memoryAdapter = require('./memoryAdapter');
+const mongoAdapter = require('./mongoAdapter');
+
+const ADAPTERS = {
+    memory: memoryAdapter,
+    mongo: mongoAdapter,
+};
+
+const instanceId = crypto.randomUUID();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open feed connection
+
+let adapter = null;
+
+const configuredAdapterName = () => (process.env.EVENT_BUS_ADAPTER || 'memory').toLowerCase();
+
+const getAdapter = (name = configuredAdapterName()) => {
+    const found = ADAPTERS[name];
+    if (!found) {
+        throw new Error(`Unknown event bus adapter "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return found;
+};
+
+const deliver = (event) => {
+    emitter.emit('event', event);
+};
+
+// Connect the configured adapter (call once, after the database connection)
+const startEventBus = async () => {
+    if (adapter) return adapter;
+    adapter = getAdapter();
+    await adapter.start({ instanceId, onEvent: deliver });
+    return adapter;
+};
+
+const stopEventBus = async () => {
+    if (!adapter) return;
+    await adapter.stop();
+    adapter = null;
+};
+
+/**
+ * Publish an event: delivered to local subscribers right away and handed to
+ * the adapter for the other instances. Never throws; a failing adapter only
+ * costs the other instances this event.
+ */
+const publishEvent = (type, data) => {
+    const event = { id: crypto.randomUUID(), type, data, occurredAt: new Date(), origin: instanceId };
+    deliver(event);
+    if (adapter) {
+        adapter.publish(event, { instanceId }).catch((error) => {
+            console.error(`Failed to share event ${type}:`, error.message);
+        });
+    }
+    return event;
+};
+
+// Listen to every event ({ id, type, data, occurredAt, origin }); returns the unsubscribe function.
+// `origin` is the instanceId of the publishing server, for work that must happen only once.
+const subscribe = (handler) => {
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+};
+
+module.exports = {
+    instanceId,
+    configuredAdapterName,
+    startEventBus,
+    stopEventBus,
+    publishEvent,
+    subscribe,
+};
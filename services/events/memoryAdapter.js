@@ -0,0 +1,9 @@
+// backend/services/events/memoryAdapter.js
+// Event bus adapter for a single server process: nothing leaves the process.
+const start = async () => {};
+
+const publish = async () => {};
+
+const stop = async () => {};
+
+module.exports = { name: 'memory', start, publish, stop };
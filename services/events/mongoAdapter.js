@@ -0,0 +1,64 @@
+// backend/services/events/mongoAdapter.js
+// Event bus adapter sharing events between server instances through a MongoDB
+// capped collection (models/BusEvent.js) read with a tailable cursor.
+// Works on a standalone server; no replica set or extra broker needed.
+const BusEvent = require('../../models/BusEvent');
+
+const RETRY_DELAY_MS = 1000;
+
+let tailing = false;
+let cursor = null;
+let retryTimer = null;
+
+const sleep = (ms) => new Promise((resolve) => {
+    retryTimer = setTimeout(resolve, ms);
+    retryTimer.unref();
+});
+
+// Follow the collection from `since`, handing other instances' events to onEvent
+const tail = async (instanceId, onEvent) => {
+    let lastSeenId = null;
+    const since = new Date();
+
+    while (tailing) {
+        try {
+            const query = lastSeenId ? { _id: { $gt: lastSeenId } } : { occurredAt: { $gte: since } };
+            cursor = BusEvent.find(query).tailable(true, { awaitData: true }).lean().cursor();
+            for await (const doc of cursor) {
+                lastSeenId = doc._id;
+                if (doc.origin !== instanceId) {
+                    onEvent({ id: doc.eventId, type: doc.type, data: doc.data, occurredAt: doc.occurredAt, origin: doc.origin });
+                }
+            }
+        } catch (error) {
+            if (tailing) console.error('Event bus tail error:', error.message);
+        }
+        // The cursor also ends on its own while the collection is empty: retry shortly
+        if (tailing) await sleep(RETRY_DELAY_MS);
+    }
+};
+
+const start = async ({ instanceId, onEvent }) => {
+    if (tailing) return;
+    await BusEvent.createCollection(); // Makes sure the capped collection exists before tailing
+    tailing = true;
+    tail(instanceId, onEvent);
+};
+
+const publish = async (event, { instanceId }) => {
+    await BusEvent.create({
+        origin: instanceId,
+        eventId: event.id,
+        type: event.type,
+        data: event.data,
+        occurredAt: event.occurredAt,
+    });
+};
+
+const stop = async () => {
+    tailing = false;
+    clearTimeout(retryTimer);
+    if (cursor) await cursor.close().catch(() => {});
+};
+
+module.exports = { name: 'mongo', start, publish, stop };
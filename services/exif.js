@@ -0,0 +1,114 @@
+// backend/services/exif.js
+// EXIF extraction from uploaded images and comparison with the position/time
+// reported by the client, to detect fake-location apps.
+const exifr = require('exifr');
+const { haversineDistance } = require('../utils/geo');
+
+// Distance (meters) and time skew (seconds) at which the EXIF is considered to disagree
+const maxDistanceMeters = () => Number(process.env.EXIF_MAX_DISTANCE_METERS) || 500;
+const maxTimeSkewSeconds = () => Number(process.env.EXIF_MAX_TIME_SKEW_SECONDS) || 900;
+// Cap (meters) on the reported accuracy taken off the EXIF distance: accuracy
+// comes from the client too, so a huge value must not excuse any distance
+const maxAccuracyAllowanceMeters = () => Number(process.env.EXIF_MAX_ACCURACY_ALLOWANCE_METERS) || 100;
+
+// "+05:30" -> minutes east of UTC
+const parseOffset = (offset) => {
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || '').trim());
+    if (!match) return null;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * DateTimeOriginal carries no timezone; exifr revives it in the server's
+ * local time. Re-interpret it with OffsetTimeOriginal when the camera wrote one.
+ */
+const resolveTakenAt = (tags) => {
+    const taken = tags.DateTimeOriginal;
+    if (!(taken instanceof Date) || isNaN(taken.getTime())) {
+        return null;
+    }
+    const offset = parseOffset(tags.OffsetTimeOriginal || tags.OffsetTime);
+    if (offset === null) {
+        return taken;
+    }
+    // Wall-clock fields as written by the camera, shifted by the camera's own offset
+    const wallClockAsUtc = Date.UTC(
+        taken.getFullYear(), taken.getMonth(), taken.getDate(),
+        taken.getHours(), taken.getMinutes(), taken.getSeconds(), taken.getMilliseconds()
+    );
+    return new Date(wallClockAsUtc - offset * 60 * 1000);
+};
+
+/**
+ * Read GPS position, capture time and device from an image buffer.
+ * Returns null when the image carries no usable EXIF (or cannot be parsed).
+ */
+const extractExif = async (buffer) => {
+    let tags;
+    try {
+        tags = await exifr.parse(buffer, {
+            tiff: true,
+            exif: true,
+            gps: true,
+            pick: ['Make', 'Model', 'DateTimeOriginal', 'OffsetTimeOriginal', 'OffsetTime',
+                'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef'],
+        });
+    } catch (error) {
+        console.warn('EXIF parsing failed:', error.message);
+        return null;
+    }
+    if (!tags) {
+        return null;
+    }
+
+    const exif = {
+        latitude: Number.isFinite(tags.latitude) ? tags.latitude : undefined,
+        longitude: Number.isFinite(tags.longitude) ? tags.longitude : undefined,
+        takenAt: resolveTakenAt(tags) || undefined,
+        make: tags.Make ? String(tags.Make).trim() : undefined,
+        model: tags.Model ? String(tags.Model).trim() : undefined,
+    };
+
+    return Object.values(exif).some((value) => value !== undefined) ? exif : null;
+};
+
+/**
+ * Compare EXIF values with what the client reported.
+ *   distanceMeters   EXIF GPS vs reported position (minus the reported accuracy,
+ *                    at most EXIF_MAX_ACCURACY_ALLOWANCE_METERS)
+ *   timeSkewSeconds  |EXIF capture time - reported time|
+ *   score            0 = agrees, >= 1 = at least one threshold exceeded
+ *   status           'consistent' | 'mismatch' | 'no_exif'
+ */
+const compareWithReported = (exif, { latitude, longitude, accuracy, timestamp }) => {
+    if (!exif) {
+        return { status: 'no_exif' };
+    }
+
+    const result = {};
+    const scores = [];
+
+    if (exif.latitude !== undefined && exif.longitude !== undefined) {
+        const distance = haversineDistance(Number(latitude), Number(longitude), exif.latitude, exif.longitude);
+        // The reported fix is only known to within `accuracy` meters
+        const allowance = Math.min(Math.max(0, Number(accuracy) || 0), maxAccuracyAllowanceMeters());
+        result.distanceMeters = Math.round(Math.max(0, distance - allowance));
+        scores.push(result.distanceMeters / maxDistanceMeters());
+    }
+
+    if (exif.takenAt && timestamp) {
+        result.timeSkewSeconds = Math.round(Math.abs(new Date(timestamp) - exif.takenAt) / 1000);
+        scores.push(result.timeSkewSeconds / maxTimeSkewSeconds());
+    }
+
+    if (scores.length === 0) {
+        return { ...result, status: 'no_exif' };
+    }
+
+    result.score = Math.round(Math.max(...scores) * 100) / 100;
+    result.status = result.score >= 1 ? 'mismatch' : 'consistent';
+    return result;
+};
+
+module.exports = { extractExif, compareWithReported };
@@ -0,0 +1,129 @@
+// backend/services/geocoding/backfill.js
+// Admin-triggered job that geocodes existing photos, one at a time.
+// A single job runs per server process; its progress is kept in memory.
+const Photo = require('../../models/Photo');
+const { createHttpError } = require('../../utils/httpError');
+const { isGeocodingEnabled, configuredProviderName, reverseGeocode } = require('./index');
+
+const BACKFILL_SCOPES = ['missing', 'all'];
+// Give up when the provider keeps failing (down, rate-limited, misconfigured)
+const MAX_CONSECUTIVE_FAILURES = 10;
+
+let job = null;
+
+// Photos a backfill run looks at (never the ones already tried):
+//   missing  photos without any address
+//   all      every photo without address components (client addresses are kept)
+const backfillFilter = (scope) => (scope === 'all'
+    ? { deletedAt: null, geocodedAt: null, addressComponents: null }
+    : { deletedAt: null, geocodedAt: null, address: { $in: [null, ''] } });
+
+const snapshot = () => (job ? { ...job } : { running: false });
+
+const runBackfill = async ({ scope, limit }) => {
+    const cursor = Photo.find(backfillFilter(scope))
+        .select('latitude longitude address addressSource')
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .cursor();
+
+    let consecutiveFailures = 0;
+    for await (const photo of cursor) {
+        if (job.cancelRequested) break;
+        job.processed += 1;
+        try {
+            const result = await reverseGeocode(photo.latitude, photo.longitude);
+            consecutiveFailures = 0;
+            if (!result) {
+                // Remember the attempt so later runs move on to other photos
+                await Photo.updateOne({ _id: photo._id }, { geocodedAt: new Date() });
+                job.notFound += 1;
+                continue;
+            }
+
+            const update = { addressComponents: result.components, geocodedAt: new Date() };
+            if (!photo.address) {
+                update.address = result.displayName;
+                update.addressSource = 'geocoder';
+            }
+            await Photo.updateOne({ _id: photo._id }, update);
+            job.geocoded += 1;
+        } catch (error) {
+            job.failed += 1;
+            job.lastError = error.message;
+            consecutiveFailures += 1;
+            if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+                job.aborted = true;
+                break;
+            }
+        }
+    }
+    await cursor.close();
+};
+
+/**
+ * Start a backfill run in the background.
+ * Resolves with the job status right away; throws 409 when a run is in
+ * progress and 400 when geocoding is disabled.
+ */
+const startGeocodeBackfill = async ({ scope = 'missing', limit = 1000, startedBy } = {}) => {
+    if (!isGeocodingEnabled()) {
+        throw createHttpError(400, 'Reverse geocoding is disabled (set GEOCODER_PROVIDER).');
+    }
+    if (!BACKFILL_SCOPES.includes(scope)) {
+        throw createHttpError(400, `scope must be one of: ${BACKFILL_SCOPES.join(', ')}.`);
+    }
+    if (job?.running) {
+        throw createHttpError(409, 'A geocoding backfill is already running.');
+    }
+
+    job = {
+        running: true,
+        provider: configuredProviderName(),
+        scope,
+        limit,
+        startedBy,
+        startedAt: new Date(),
+        finishedAt: null,
+        pending: await Photo.countDocuments(backfillFilter(scope)),
+        processed: 0,
+        geocoded: 0,
+        notFound: 0,
+        failed: 0,
+        aborted: false,
+        cancelRequested: false,
+        lastError: null,
+    };
+
+    runBackfill({ scope, limit })
+        .catch((error) => {
+            console.error('Geocoding backfill failed:', error);
+            job.aborted = true;
+            job.lastError = error.message;
+        })
+        .finally(() => {
+            job.running = false;
+            job.finishedAt = new Date();
+            console.log(`📍 Geocoding backfill: ${job.geocoded} geocoded, ${job.notFound} not found, ${job.failed} failed`);
+        });
+
+    return snapshot();
+};
+
+// Ask the running job to stop after the current photo
+const cancelGeocodeBackfill = () => {
+    if (!job?.running) {
+        throw createHttpError(404, 'No geocoding backfill is running.');
+    }
+    job.cancelRequested = true;
+    return snapshot();
+};
+
+const getGeocodeBackfillStatus = snapshot;
+
+module.exports = {
+    BACKFILL_SCOPES,
+    startGeocodeBackfill,
+    cancelGeocodeBackfill,
+    getGeocodeBackfillStatus,
+};
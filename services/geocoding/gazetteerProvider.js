@@ -0,0 +1,90 @@
+// backend/services/geocoding/gazetteerProvider.js
+// Offline geocoding against a local gazetteer file: nearest place for a
+// position, place whose name matches for an address.
+// Meant for tests and air-gapped installs.
+//
+//   GEOCODER_GAZETTEER_FILE              path to the file (required)
+//   GEOCODER_GAZETTEER_MAX_DISTANCE      meters; farther places do not match (default 2000)
+//
+// The file is either a JSON array of places
+//   [{ "latitude": 48.85, "longitude": 2.35, "displayName": "...", "city": "Paris", ... }]
+// or a GeoJSON FeatureCollection of Points whose properties hold the same fields.
+// Component fields: houseNumber, street, suburb, city, county, state, postcode, country, countryCode.
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/geocoding');
+const { haversineDistance } = require('../../utils/geo');
+
+const COMPONENT_FIELDS = ['houseNumber', 'street', 'suburb', 'city', 'county', 'state', 'postcode', 'country', 'countryCode'];
+const METERS_PER_DEGREE = 111320;
+
+const toPlace = (fields, latitude, longitude) => {
+    const components = Object.fromEntries(
+        COMPONENT_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, String(fields[field])])
+    );
+    const displayName = fields.displayName
+        || [[components.houseNumber, components.street].filter(Boolean).join(' '), components.city, components.postcode, components.country]
+            .filter(Boolean)
+            .join(', ');
+    return { latitude: Number(latitude), longitude: Number(longitude), displayName, components };
+};
+
+const parseGazetteer = (data) => {
+    const entries = data?.type === 'FeatureCollection'
+        ? data.features
+            .filter((feature) => feature.geometry?.type === 'Point')
+            .map((feature) => toPlace(feature.properties || {}, feature.geometry.coordinates[1], feature.geometry.coordinates[0]))
+        : (Array.isArray(data) ? data : []).map((entry) => toPlace(entry, entry.latitude, entry.longitude));
+    return entries.filter((place) => Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+};
+
+let places = null;
+const loadPlaces = () => {
+    if (!places) {
+        if (!config.gazetteerFile) {
+            throw new Error('GEOCODER_GAZETTEER_FILE is not configured');
+        }
+        const file = path.resolve(config.gazetteerFile);
+        places = parseGazetteer(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return places;
+};
+
+// Nearest place within the max distance (a linear scan: gazetteers are expected to be small)
+const reverse = async (latitude, longitude) => {
+    const maxDistance = config.gazetteerMaxDistanceMeters;
+    // Cheap bounding-box test before the exact distance
+    const latSpan = maxDistance / METERS_PER_DEGREE;
+    const lngSpan = latSpan / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+
+    let best = null;
+    for (const place of loadPlaces()) {
+        if (Math.abs(place.latitude - latitude) > latSpan || Math.abs(place.longitude - longitude) > lngSpan) continue;
+        const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { place, distance };
+        }
+    }
+    return best ? { displayName: best.place.displayName, components: best.place.components } : null;
+};
+
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Place whose display name equals the query, else the first one containing it (case and punctuation ignored)
+const search = async (query) => {
+    const wanted = normalize(query);
+    if (!wanted) return null;
+    const candidates = loadPlaces();
+    const place = candidates.find((entry) => normalize(entry.displayName) === wanted)
+        || candidates.find((entry) => normalize(entry.displayName).includes(wanted));
+    return place
+        ? { latitude: place.latitude, longitude: place.longitude, displayName: place.displayName, components: place.components }
+        : null;
+};
+
+// Forget the loaded file (e.g. after it was replaced)
+const reload = () => {
+    places = null;
+};
+
+module.exports = { name: 'gazetteer', reverse, search, reload };
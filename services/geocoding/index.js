@@ -0,0 +1,117 @@
+// backend/services/geocoding/index.js
+// Entry point of reverse (and forward) geocoding. The provider is chosen with
+// GEOCODER_PROVIDER (none | nominatim | gazetteer, default: none).
+// Results are cached per provider on a rounded coordinate grid (models/GeocodeCache.js).
+//
+// Every provider implements:
+//   reverse(latitude, longitude, { maxWaitMs }) -> { displayName, components } | null
+//     (maxWaitMs: give up with error code GEOCODER_BUSY rather than queue longer)
+//   search(address) -> { latitude, longitude, displayName, components } | null
+const GeocodeCache = require('../../models/GeocodeCache');
+const config = require('../../config/geocoding');
+const nominatimProvider = require('./nominatimProvider');
+const gazetteerProvider = require('./gazetteerProvider');
+
+const PROVIDERS = {
+    nominatim: nominatimProvider,
+    gazetteer: gazetteerProvider,
+};
+
+const configuredProviderName = () => config.provider;
+
+const isGeocodingEnabled = () => configuredProviderName() !== 'none';
+
+const getProvider = (name = configuredProviderName()) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown geocoding provider "${name}". Expected one of: none, ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+};
+
+// Cache cell of a position, e.g. "48.8566,2.3522"
+const cacheKey = (latitude, longitude) => `${Number(latitude).toFixed(config.cachePrecision)},${Number(longitude).toFixed(config.cachePrecision)}`;
+
+/**
+ * Reverse geocode a position, going through the cache.
+ * Resolves with { displayName, components, provider, cached } or null when
+ * nothing is found (or geocoding is disabled). Provider errors are thrown
+ * and not cached.
+ */
+const reverseGeocode = async (latitude, longitude, { provider: name = configuredProviderName(), maxWaitMs } = {}) => {
+    if (name === 'none') return null;
+    const provider = getProvider(name);
+    const key = cacheKey(latitude, longitude);
+
+    const cached = await GeocodeCache.findOne({ provider: provider.name, key, expiresAt: { $gt: new Date() } }).lean();
+    if (cached) {
+        return cached.found
+            ? { displayName: cached.displayName, components: cached.components, provider: provider.name, cached: true }
+            : null;
+    }
+
+    const result = await provider.reverse(Number(latitude), Number(longitude), { maxWaitMs });
+    await GeocodeCache.updateOne(
+        { provider: provider.name, key },
+        {
+            found: Boolean(result),
+            displayName: result?.displayName,
+            components: result?.components,
+            expiresAt: new Date(Date.now() + (result ? config.cacheTtlMs : config.missTtlMs)),
+        },
+        { upsert: true }
+    );
+
+    return result ? { ...result, provider: provider.name, cached: false } : null;
+};
+
+/**
+ * Photo fields for a geocoded position:
+ * { address, addressComponents, addressSource: 'geocoder', geocodedAt }
+ * ({ geocodedAt } alone when nothing was found).
+ * Never throws: uploads must not fail because the geocoder is down,
+ * so errors are logged and an empty object is returned. The same goes when
+ * the provider is too busy to answer within `maxWaitMs`; without geocodedAt
+ * the photo is picked up by the backfill (services/geocoding/backfill.js).
+ */
+const lookupAddressFields = async (latitude, longitude, { maxWaitMs } = {}) => {
+    if (!isGeocodingEnabled()) return {};
+    try {
+        const result = await reverseGeocode(latitude, longitude, { maxWaitMs });
+        if (!result) return { geocodedAt: new Date() }; // Tried; the backfill need not retry
+        return {
+            address: result.displayName,
+            addressComponents: result.components,
+            addressSource: 'geocoder',
+            geocodedAt: new Date(),
+        };
+    } catch (error) {
+        if (error.code !== 'GEOCODER_BUSY') {
+            console.warn(`Reverse geocoding failed for ${latitude},${longitude}:`, error.message);
+        }
+        return {};
+    }
+};
+
+/**
+ * Forward geocode a free-form address (used when a task is given an address
+ * only). Resolves with { latitude, longitude, displayName, components, provider }
+ * or null when nothing is found or geocoding is disabled. Not cached:
+ * addresses are looked up once, when the record referring to them is saved.
+ */
+const forwardGeocode = async (address, { provider: name = configuredProviderName() } = {}) => {
+    if (name === 'none') return null;
+    const provider = getProvider(name);
+    const result = await provider.search(String(address));
+    return result ? { ...result, provider: provider.name } : null;
+};
+
+module.exports = {
+    configuredProviderName,
+    isGeocodingEnabled,
+    getProvider,
+    cacheKey,
+    reverseGeocode,
+    lookupAddressFields,
+    forwardGeocode,
+};
@@ -0,0 +1,115 @@
+// backend/services/geocoding/nominatimProvider.js
+// Reverse and forward geocoding through a Nominatim-compatible HTTP API.
+//
+//   GEOCODER_NOMINATIM_URL     base URL (default: the public OpenStreetMap server)
+//   GEOCODER_USER_AGENT        identifying User-Agent (required by the public server)
+//   GEOCODER_EMAIL             contact address sent with each request (optional)
+//   GEOCODER_MIN_INTERVAL_MS   minimum delay between requests (default 1000)
+const config = require('../../config/geocoding');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const busyError = () => Object.assign(new Error('Geocoder queue is busy'), { code: 'GEOCODER_BUSY' });
+
+// Requests are queued so they never go out faster than minIntervalMs.
+// With `maxWaitMs`, a request still waiting for its turn after that long is
+// dropped (rejects with code GEOCODER_BUSY) without using up a slot.
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+const throttled = (task, { maxWaitMs } = {}) => {
+    let started = false;
+    let expired = false;
+    const run = queue.then(async () => {
+        if (expired) throw busyError();
+        const wait = lastRequestAt + config.minIntervalMs - Date.now();
+        if (wait > 0) await sleep(wait);
+        if (expired) throw busyError();
+        started = true;
+        lastRequestAt = Date.now();
+        return task();
+    });
+    queue = run.catch(() => {});
+    if (maxWaitMs === undefined) return run;
+
+    return new Promise((resolve, reject) => {
+        // Once the request is out, the fetch timeout bounds it
+        const timer = setTimeout(() => {
+            if (started) return;
+            expired = true;
+            reject(busyError());
+        }, maxWaitMs);
+        run.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+};
+
+const toComponents = (address = {}) => ({
+    houseNumber: address.house_number,
+    street: address.road || address.pedestrian || address.footway || address.path,
+    suburb: address.suburb || address.neighbourhood || address.quarter,
+    city: address.city || address.town || address.village || address.hamlet || address.municipality,
+    county: address.county,
+    state: address.state || address.region,
+    postcode: address.postcode,
+    country: address.country,
+    countryCode: address.country_code ? address.country_code.toUpperCase() : undefined,
+});
+
+const reverse = (latitude, longitude, { maxWaitMs } = {}) => throttled(async () => {
+    const params = new URLSearchParams({
+        format: 'jsonv2',
+        lat: String(latitude),
+        lon: String(longitude),
+        addressdetails: '1',
+        zoom: '18',
+        'accept-language': config.language,
+    });
+    if (config.email) params.set('email', config.email);
+
+    const response = await fetch(`${config.nominatimUrl}/reverse?${params}`, {
+        headers: { 'User-Agent': config.userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(config.timeoutMs),
+    });
+    if (!response.ok) {
+        throw new Error(`Nominatim responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    // Nominatim answers 200 { error: 'Unable to geocode' } when nothing is there
+    if (!body || body.error || !body.display_name) {
+        return null;
+    }
+    return { displayName: body.display_name, components: toComponents(body.address) };
+}, { maxWaitMs });
+
+// Best match for a free-form address, or null
+const search = (query) => throttled(async () => {
+    const params = new URLSearchParams({
+        format: 'jsonv2',
+        q: query,
+        addressdetails: '1',
+        limit: '1',
+        'accept-language': config.language,
+    });
+    if (config.email) params.set('email', config.email);
+
+    const response = await fetch(`${config.nominatimUrl}/search?${params}`, {
+        headers: { 'User-Agent': config.userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(config.timeoutMs),
+    });
+    if (!response.ok) {
+        throw new Error(`Nominatim responded with HTTP ${response.status}`);
+    }
+
+    const [best] = await response.json();
+    if (!best || !best.display_name) {
+        return null;
+    }
+    return {
+        latitude: Number(best.lat),
+        longitude: Number(best.lon),
+        displayName: best.display_name,
+        components: toComponents(best.address),
+    };
+});
+
+module.exports = { name: 'nominatim', reverse, search };
@@ -0,0 +1,132 @@
+// backend/services/loginProtection.js
+// Per-account and per-IP brute-force protection for the login endpoint:
+// failure counters, progressive delays and temporary lockouts.
+// Every lock and unlock is written to the audit log.
+const LoginThrottle = require('../models/LoginThrottle');
+const config = require('../config/loginProtection');
+const { recordAudit } = require('./audit');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The account key matches the user lookup of loginUser (trimmed, case-sensitive name)
+const targetsFor = (req, username) => [
+    { kind: 'account', identifier: String(username || '').trim(), max: config.maxFailuresPerAccount },
+    ...(config.ipLockoutEnabled ? [{ kind: 'ip', identifier: req.ip || 'unknown', max: config.maxFailuresPerIp }] : []),
+];
+
+const lockEventMetadata = (throttle) => ({
+    kind: throttle.kind,
+    identifier: throttle.identifier,
+    lockCount: throttle.lockCount,
+    lockedUntil: throttle.lockedUntil,
+});
+
+// Clear lockouts that have run out, recording the unlock
+const releaseExpiredLock = async (req, throttle) => {
+    const released = await LoginThrottle.findOneAndUpdate(
+        { _id: throttle._id, lockedUntil: { $lte: new Date() } },
+        { $unset: { lockedUntil: 1 } },
+        { new: true }
+    );
+    if (released) {
+        await recordAudit(req, {
+            action: 'auth.unlock',
+            actor: null,
+            metadata: { ...lockEventMetadata(throttle), reason: 'expired' },
+        });
+    }
+};
+
+/**
+ * Check whether a login attempt may proceed.
+ * Waits for the progressive delay, then resolves with
+ * { blocked: false } or { blocked: true, retryAfterSeconds }.
+ */
+const checkLoginAllowed = async (req, username) => {
+    const targets = targetsFor(req, username);
+    const throttles = await LoginThrottle.find({
+        $or: targets.map(({ kind, identifier }) => ({ kind, identifier })),
+    });
+
+    const now = Date.now();
+    const locked = throttles.filter((throttle) => throttle.lockedUntil && throttle.lockedUntil.getTime() > now);
+    if (locked.length > 0) {
+        const until = Math.max(...locked.map((throttle) => throttle.lockedUntil.getTime()));
+        return { blocked: true, retryAfterSeconds: Math.ceil((until - now) / 1000) };
+    }
+
+    await Promise.all(throttles.filter((throttle) => throttle.lockedUntil).map((throttle) => releaseExpiredLock(req, throttle)));
+
+    // Slow down repeated guessing, proportionally to the recent failures
+    const recentFailures = Math.max(0, ...throttles
+        .filter((throttle) => throttle.windowStartedAt && now - throttle.windowStartedAt.getTime() < config.failureWindowMs)
+        .map((throttle) => throttle.failures));
+    if (recentFailures > 0) {
+        await sleep(Math.min(config.delayMaxMs, config.delayBaseMs * 2 ** (recentFailures - 1)));
+    }
+
+    return { blocked: false };
+};
+
+// Count one failure against a target; lock it when it reaches its threshold
+const registerFailure = async (req, { kind, identifier, max }) => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.failureWindowMs);
+    const windowExpired = { $lt: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, windowStart] };
+
+    // Atomic increment; starts a new window when the previous one is over
+    const increment = () => LoginThrottle.findOneAndUpdate(
+        { kind, identifier },
+        [{
+            $set: {
+                failures: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+                windowStartedAt: { $cond: [windowExpired, now, '$windowStartedAt'] },
+                lastFailureAt: now,
+                lockCount: { $ifNull: ['$lockCount', 0] },
+                expiresAt: new Date(now.getTime() + config.failureWindowMs + config.lockoutMs),
+            },
+        }],
+        { upsert: true, new: true }
+    );
+
+    let throttle;
+    try {
+        throttle = await increment();
+    } catch (error) {
+        // Two concurrent first failures both tried to insert; the document exists now
+        if (error?.code !== 11000) throw error;
+        throttle = await increment();
+    }
+
+    if (throttle.failures < max) {
+        return;
+    }
+
+    // Lock, and give a fresh set of attempts once the lockout is over
+    const lockedUntil = new Date(now.getTime() + config.lockoutMs);
+    const locked = await LoginThrottle.findOneAndUpdate(
+        { _id: throttle._id, failures: { $gte: max } },
+        { $set: { lockedUntil, failures: 0, expiresAt: new Date(lockedUntil.getTime() + config.failureWindowMs) }, $inc: { lockCount: 1 } },
+        { new: true }
+    );
+    if (locked) {
+        await recordAudit(req, {
+            action: 'auth.lock',
+            actor: null,
+            metadata: { ...lockEventMetadata(locked), failures: throttle.failures },
+        });
+    }
+};
+
+// Record a failed login for both the account and the client IP
+const recordLoginFailure = async (req, username) => {
+    await Promise.all(targetsFor(req, username).map((target) => registerFailure(req, target)));
+};
+
+// A successful login resets the account's counters (the IP keeps its own)
+const recordLoginSuccess = async (req, username) => {
+    const [account] = targetsFor(req, username);
+    await LoginThrottle.deleteOne({ kind: account.kind, identifier: account.identifier, lockedUntil: null });
+};
+
+module.exports = { checkLoginAllowed, recordLoginFailure, recordLoginSuccess };
@@ -0,0 +1,8 @@
+// backend/services/mailer/consoleDriver.js
+// Prints emails to the server log instead of sending them (development default).
+const send = async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return { driver: 'console' };
+};
+
+module.exports = { name: 'console', send };
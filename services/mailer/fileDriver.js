@@ -0,0 +1,16 @@
+// backend/services/mailer/fileDriver.js
+// Writes each email as a JSON file in MAIL_OUTBOX_DIR (tests, air-gapped installs).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox'));
+
+const send = async (message) => {
+    await fs.promises.mkdir(outboxDir(), { recursive: true });
+    const file = path.join(outboxDir(), `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { driver: 'file', file };
+};
+
+module.exports = { name: 'file', outboxDir, send };
@@ -0,0 +1,50 @@
+// backend/services/mailer/index.js
+// Outgoing email. The driver is chosen with MAIL_DRIVER:
+//   console           - log the message (default outside production; it would
+//                       put password reset links in the logs, so production
+//                       has to name a driver explicitly)
+//   file              - write it to MAIL_OUTBOX_DIR
+//   smtp              - send it for real (see smtpDriver.js)
+const consoleDriver = require('./consoleDriver');
+const fileDriver = require('./fileDriver');
+const smtpDriver = require('./smtpDriver');
+
+const DRIVERS = {
+    console: consoleDriver,
+    file: fileDriver,
+    smtp: smtpDriver,
+};
+
+const getDriver = () => {
+    if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_DRIVER must be set in production (smtp, or file / console explicitly).');
+    }
+    const name = (process.env.MAIL_DRIVER || 'console').toLowerCase();
+    const driver = DRIVERS[name];
+    if (!driver) {
+        throw new Error(`Unknown MAIL_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return driver;
+};
+
+/**
+ * Send an email: { to, subject, text, html? }
+ */
+const sendMail = (message) => getDriver().send(message);
+
+// Base URL of the frontend, for the links in emails. Production has to set
+// APP_URL: a localhost link would be useless to the recipient
+const appUrl = () => {
+    if (!process.env.APP_URL && process.env.NODE_ENV === 'production') {
+        throw new Error('APP_URL must be set in production (frontend base URL used in email links).');
+    }
+    return process.env.APP_URL || 'http://localhost:3000';
+};
+
+// Throw at startup rather than on the first email if the driver setting or APP_URL is unusable
+const assertMailConfigured = () => {
+    getDriver();
+    appUrl();
+};
+
+module.exports = { sendMail, appUrl, assertMailConfigured };
@@ -0,0 +1,33 @@
+// backend/services/mailer/smtpDriver.js
+// Sends email through an SMTP server.
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465),
+//   SMTP_USER / SMTP_PASSWORD, MAIL_FROM
+const nodemailer = require('nodemailer');
+
+let transporter;
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined,
+        });
+    }
+    return transporter;
+};
+
+const send = async ({ to, subject, text, html }) => {
+    const info = await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || 'no-reply@focus-gps.local',
+        to,
+        subject,
+        text,
+        html,
+    });
+    return { driver: 'smtp', messageId: info.messageId };
+};
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,69 @@
+// backend/services/passwordPolicy.js
+const crypto = require('crypto');
+const policy = require('../config/passwordPolicy');
+
+/**
+ * List the policy rules a password breaks (empty array = acceptable).
+ * Reuse of previous passwords is checked separately (User#isPasswordReused).
+ */
+const checkPasswordPolicy = (password) => {
+    const value = typeof password === 'string' ? password : '';
+    const problems = [];
+
+    if (value.length < policy.minLength) {
+        problems.push(`Password must be at least ${policy.minLength} characters long.`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+        problems.push('Password must contain a lowercase letter.');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+        problems.push('Password must contain an uppercase letter.');
+    }
+    if (policy.requireDigit && !/\d/.test(value)) {
+        problems.push('Password must contain a digit.');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+        problems.push('Password must contain a symbol.');
+    }
+    return problems;
+};
+
+// express-validator custom validator applying the policy
+const passwordPolicyValidator = (password) => {
+    const problems = checkPasswordPolicy(password);
+    if (problems.length > 0) {
+        throw new Error(problems.join(' '));
+    }
+    return true;
+};
+
+// Alphabets without look-alike characters (0/O, 1/l/I), as temporary passwords get read out and retyped
+const TEMPORARY_PASSWORD_CLASSES = {
+    lower: 'abcdefghijkmnopqrstuvwxyz',
+    upper: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    digit: '23456789',
+    symbol: '!#$%&*+-=?@',
+};
+
+/**
+ * Random password that satisfies the policy: one character of each class
+ * (symbols only when required), the rest from letters and digits, shuffled.
+ */
+const generateTemporaryPassword = (length = Math.max(policy.minLength, 16)) => {
+    const { lower, upper, digit, symbol } = TEMPORARY_PASSWORD_CLASSES;
+    const pick = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+
+    const characters = [pick(lower), pick(upper), pick(digit)];
+    if (policy.requireSymbol) characters.push(pick(symbol));
+    while (characters.length < length) {
+        characters.push(pick(lower + upper + digit));
+    }
+    // Fisher-Yates, so the required classes are not always at the start
+    for (let i = characters.length - 1; i > 0; i -= 1) {
+        const j = crypto.randomInt(i + 1);
+        [characters[i], characters[j]] = [characters[j], characters[i]];
+    }
+    return characters.join('');
+};
+
+module.exports = { checkPasswordPolicy, passwordPolicyValidator, generateTemporaryPassword };
@@ -0,0 +1,44 @@
+// backend/services/perceptualHash.js
+// Perceptual hashing (dHash) of uploaded images, used to spot the same picture
+// being re-uploaded on another day or by another user.
+//
+// A 64-bit dHash is stored as 16 hex characters; comparing and indexing
+// hashes is done by utils/hashBands.js.
+const sharp = require('sharp');
+const { createHttpError } = require('../utils/httpError');
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the dHash of an image: shrink to 9x8 greyscale and record, for each
+ * row, whether each pixel is brighter than its right neighbour.
+ * Resolves with a 16-char hex string. Throws a 400 error when sharp cannot
+ * decode the image, so that uploads of anything but a readable image are
+ * refused (HEIC needs a libvips build with HEVC support).
+ */
+const computeHash = async (buffer) => {
+    let pixels;
+    try {
+        pixels = await sharp(buffer)
+            .rotate() // Honour EXIF orientation so rotated copies hash the same
+            .greyscale()
+            .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+    } catch (error) {
+        throw createHttpError(400, 'The file is not a readable JPEG, PNG, WebP or HEIC image.');
+    }
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let col = 0; col < HASH_WIDTH; col++) {
+            const left = pixels[row * (HASH_WIDTH + 1) + col];
+            const right = pixels[row * (HASH_WIDTH + 1) + col + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+};
+
+module.exports = { computeHash };
@@ -0,0 +1,41 @@
+// backend/services/storage/cloudinaryDriver.js
+// Storage driver for assets hosted on Cloudinary.
+const { Readable } = require('stream');
+const cloudinary = require('../../config/cloudinary');
+
+// Longest a download of an asset may take, body included
+const FETCH_TIMEOUT_MS = Number(process.env.STORAGE_FETCH_TIMEOUT_MS) || 60000;
+
+/**
+ * Upload a buffer, streaming it to Cloudinary (no base64 data URI).
+ * Resolves with { key: public_id, url: secure_url }.
+ */
+const put = (buffer, { folder, tags = [] }) => new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream({ folder, tags }, (error, result) => {
+        if (error) return reject(error);
+        resolve({ key: result.public_id, url: result.secure_url });
+    });
+    Readable.from(buffer).pipe(uploadStream);
+});
+
+const remove = async (key) => {
+    await cloudinary.uploader.destroy(key);
+};
+
+const url = (key) => cloudinary.url(key, { secure: true });
+
+/**
+ * Open a readable stream on a stored asset.
+ * Cloudinary assets are public, so they are simply fetched from their delivery URL.
+ */
+const getStream = async ({ key, url: assetUrl }, { signal } = {}) => {
+    const target = assetUrl || url(key);
+    const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    const response = await fetch(target, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    if (!response.ok || !response.body) {
+        throw new Error(`Failed to fetch ${target} (HTTP ${response.status})`);
+    }
+    return Readable.fromWeb(response.body);
+};
+
+module.exports = { name: 'cloudinary', put, remove, url, getStream };
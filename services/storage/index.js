@@ -0,0 +1,82 @@
+// backend/services/storage/index.js
+// Entry point of the storage layer. New uploads go to the driver chosen with
+// STORAGE_DRIVER (cloudinary | local | s3, default: cloudinary); existing
+// assets are always read and deleted through the driver they were stored with.
+// Controllers must go through this module instead of talking to a provider directly.
+//
+// Every driver implements:
+//   put(buffer, { folder, contentType, tags }) -> { key, url }
+//   remove(key)
+//   getStream({ key, url }, { signal }) -> Readable   (signal aborts the download)
+//   url(key) -> string
+const cloudinaryDriver = require('./cloudinaryDriver');
+const localDriver = require('./localDriver');
+const s3Driver = require('./s3Driver');
+const { IMAGE_CONTENT_TYPES } = require('./keys');
+
+const DRIVERS = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    s3: s3Driver,
+};
+
+const PHOTO_FOLDER = 'focus-gps-camera-system';
+
+const configuredDriverName = () => (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+
+const getDriver = (name = configuredDriverName()) => {
+    const driver = DRIVERS[name];
+    if (!driver) {
+        throw new Error(`Unknown storage driver "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return driver;
+};
+
+// Storage location of a Photo document (photos stored before the storage
+// layer existed only have a cloudinaryPublicId)
+const assetOf = (photo) => ({
+    provider: photo.storageProvider || 'cloudinary',
+    key: photo.storageKey || photo.cloudinaryPublicId,
+    url: photo.imageUrl,
+});
+
+/**
+ * Store an uploaded image (multer memory file whose mimetype is one of
+ * IMAGE_CONTENT_TYPES, checked by the upload routes).
+ * Resolves with the fields to save on the Photo: { storageProvider, storageKey, imageUrl }.
+ */
+const putPhoto = async (file, { userId }) => {
+    const driver = getDriver();
+    const { key, url } = await driver.put(file.buffer, {
+        folder: PHOTO_FOLDER,
+        contentType: file.mimetype,
+        tags: [`user_${userId}`, `date_${new Date().toISOString().split('T')[0]}`],
+    });
+    return { storageProvider: driver.name, storageKey: key, imageUrl: url };
+};
+
+// Delete a photo's image from wherever it is stored
+const deletePhotoAsset = async (photo) => {
+    const { provider, key } = assetOf(photo);
+    if (!key) {
+        return false;
+    }
+    await getDriver(provider).remove(key);
+    return true;
+};
+
+// Open a readable stream on a photo's image; `signal` (optional AbortSignal) cancels it
+const getPhotoStream = (photo, { signal } = {}) => {
+    const asset = assetOf(photo);
+    return getDriver(asset.provider).getStream(asset, { signal });
+};
+
+module.exports = {
+    IMAGE_CONTENT_TYPES,
+    configuredDriverName,
+    getDriver,
+    assetOf,
+    putPhoto,
+    deletePhotoAsset,
+    getPhotoStream,
+};
@@ -0,0 +1,22 @@
+// backend/services/storage/keys.js
+// Key naming shared by the drivers that pick their own keys (local, s3).
+const crypto = require('crypto');
+
+// Image types accepted for upload, and the extension of their stored files
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+};
+const IMAGE_CONTENT_TYPES = Object.keys(EXTENSIONS);
+
+// <folder>/<yyyy-mm-dd>/<uuid><ext>, the extension following the checked
+// content type (never the client's file name)
+const generateKey = ({ folder, contentType }) => {
+    const extension = EXTENSIONS[contentType] || '.bin';
+    const day = new Date().toISOString().split('T')[0];
+    return [folder, day, `${crypto.randomUUID()}${extension}`].filter(Boolean).join('/');
+};
+
+module.exports = { IMAGE_CONTENT_TYPES, generateKey };
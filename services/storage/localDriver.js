@@ -0,0 +1,47 @@
+// backend/services/storage/localDriver.js
+// Storage driver backed by a directory on the local disk.
+// Lets the API run without any cloud credentials (development, tests, on-prem).
+// Files are served by server.js under LOCAL_STORAGE_PUBLIC_URL (default /uploads).
+const fs = require('fs');
+const path = require('path');
+const { generateKey } = require('./keys');
+
+const rootDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const publicBaseUrl = () => (process.env.LOCAL_STORAGE_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+// Resolve a storage key inside the root directory, refusing path traversal
+const resolveKey = (key) => {
+    const root = rootDir();
+    const filePath = path.resolve(root, String(key));
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+const put = async (buffer, options) => {
+    const key = generateKey(options);
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    return { key, url: url(key) };
+};
+
+const remove = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+const url = (key) => `${publicBaseUrl()}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * Open a readable stream on a stored asset.
+ * Resolves only once the file is open, so missing files reject here
+ * instead of erroring later on the stream.
+ */
+const getStream = ({ key }) => new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(resolveKey(key));
+    stream.once('open', () => resolve(stream));
+    stream.once('error', reject);
+});
+
+module.exports = { name: 'local', rootDir, publicBaseUrl, resolveKey, put, remove, url, getStream };
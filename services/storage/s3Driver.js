@@ -0,0 +1,76 @@
+// backend/services/storage/s3Driver.js
+// Storage driver for Amazon S3 and S3-compatible servers (MinIO, Ceph, R2...).
+//
+//   S3_BUCKET              bucket name (required)
+//   S3_REGION              region (default us-east-1)
+//   S3_ENDPOINT            custom endpoint for S3-compatible servers
+//   S3_FORCE_PATH_STYLE    'true' for servers without virtual-host buckets (MinIO)
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY   credentials (else the default AWS chain)
+//   S3_PUBLIC_URL          base URL the objects are publicly served from
+const {
+    S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { generateKey } = require('./keys');
+
+let client;
+const getClient = () => {
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                }
+                : undefined,
+        });
+    }
+    return client;
+};
+
+const bucket = () => {
+    if (!process.env.S3_BUCKET) {
+        throw new Error('S3_BUCKET is not configured');
+    }
+    return process.env.S3_BUCKET;
+};
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const url = (key) => {
+    if (process.env.S3_PUBLIC_URL) {
+        return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${encodeKey(key)}`;
+    }
+    if (process.env.S3_ENDPOINT) {
+        return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket()}/${encodeKey(key)}`;
+    }
+    return `https://${bucket()}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com/${encodeKey(key)}`;
+};
+
+const put = async (buffer, options) => {
+    const key = generateKey(options);
+    await getClient().send(new PutObjectCommand({
+        Bucket: bucket(),
+        Key: key,
+        Body: buffer,
+        ContentType: options.contentType,
+        Tagging: options.tags?.length
+            ? options.tags.map((tag) => `${encodeURIComponent(tag)}=1`).join('&')
+            : undefined,
+    }));
+    return { key, url: url(key) };
+};
+
+const remove = async (key) => {
+    await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+};
+
+// Open a readable stream on a stored asset (the SDK returns a Node stream as Body)
+const getStream = async ({ key }, { signal } = {}) => {
+    const { Body } = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: key }), { abortSignal: signal });
+    return Body;
+};
+
+module.exports = { name: 's3', put, remove, url, getStream };
@@ -0,0 +1,174 @@
+// backend/services/tasks.js
+// Visit tasks: resolving their location, completing them with a photo and
+// the status report. See models/Task.js for the states.
+const Task = require('../models/Task');
+const User = require('../models/User');
+const config = require('../config/tasks');
+const { toGeoPoint } = require('../utils/geo');
+const { createHttpError } = require('../utils/httpError');
+const { forwardGeocode, isGeocodingEnabled } = require('./geocoding');
+
+const TASK_STATES = ['upcoming', 'open', 'overdue', 'missed', 'completed', 'cancelled'];
+// States of a task the assignee still has to do something about
+const OPEN_STATES = ['upcoming', 'open', 'overdue'];
+
+// Plain task object with its current state
+const withState = (task, now = new Date()) => ({ ...task.toObject(), state: task.stateAt(now) });
+
+/**
+ * Location fields of a task from explicit coordinates, or else by looking
+ * the address up with the configured geocoder.
+ * Resolves with { location, address, geocoded }.
+ */
+const resolveTaskLocation = async ({ latitude, longitude, address }) => {
+    if (latitude !== undefined && longitude !== undefined) {
+        return { location: toGeoPoint(Number(latitude), Number(longitude)), address, geocoded: false };
+    }
+    if (!address) {
+        throw createHttpError(400, 'Give either latitude and longitude, or an address.');
+    }
+    if (!isGeocodingEnabled()) {
+        throw createHttpError(400, 'Address-only tasks need server-side geocoding (GEOCODER_PROVIDER); give latitude and longitude.');
+    }
+
+    let result;
+    try {
+        result = await forwardGeocode(address);
+    } catch (error) {
+        console.warn(`Forward geocoding failed for "${address}":`, error.message);
+        throw createHttpError(503, 'The geocoding service is unavailable; retry later or give latitude and longitude.');
+    }
+    if (!result) {
+        throw createHttpError(400, 'No location found for that address; give latitude and longitude.');
+    }
+    return { location: toGeoPoint(result.latitude, result.longitude), address, geocoded: true };
+};
+
+// 400 (409 for a closed or missed task) error for an upload that does not complete its task, with the reason code
+const visitRejected = (task, { reason, message, distance }) => {
+    const error = createHttpError(['task_completed', 'task_cancelled', 'task_missed'].includes(reason) ? 409 : 400, message);
+    error.details = {
+        reason,
+        distanceMeters: distance,
+        task: { _id: task._id, radius: task.radius, windowStart: task.windowStart, windowEnd: task.windowEnd },
+    };
+    return error;
+};
+
+/**
+ * Check that a photo about to be stored completes task `taskId` of `userId`,
+ * and mark the task completed. Throws 404 for someone else's task and 400/409
+ * (with error.details.reason) when the position, time or task status does not
+ * fit. Resolves with the updated task; call releaseTask() if the photo then
+ * cannot be stored.
+ * A task already completed by an upload with the same `clientId` is resolved
+ * as is: that is a retry racing the original, and the (userId, clientId)
+ * unique index on photos keeps only one of them.
+ */
+const claimTaskForVisit = async (userId, taskId, visit, { clientId } = {}) => {
+    const task = await Task.findOne({ _id: taskId, assignedTo: userId });
+    if (!task) {
+        throw createHttpError(404, 'Task not found');
+    }
+    if (clientId && task.status === 'completed' && task.completedClientId === clientId) {
+        return task;
+    }
+
+    const outcome = task.evaluateVisit(visit);
+    if (outcome.reason) {
+        throw visitRejected(task, outcome);
+    }
+
+    // Conditional on 'assigned' so two concurrent uploads cannot both complete it
+    const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, status: 'assigned' },
+        {
+            $set: {
+                status: 'completed',
+                completedAt: new Date(visit.timestamp),
+                completionDistance: outcome.distance,
+                completedClientId: clientId,
+            },
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        throw visitRejected(task, { reason: 'task_completed', message: 'This task has already been completed.', distance: outcome.distance });
+    }
+    return claimed;
+};
+
+// Undo claimTaskForVisit (the photo could not be stored)
+const releaseTask = (task) => Task.updateOne(
+    { _id: task._id, status: 'completed', completedPhoto: null },
+    { $set: { status: 'assigned' }, $unset: { completedAt: '', completionDistance: '', completedClientId: '' } }
+);
+
+// Record the photo that completed a claimed task
+const linkTaskPhoto = (task, photo) => Task.updateOne({ _id: task._id }, { $set: { completedPhoto: photo._id } });
+
+/**
+ * Task counts per state, overall and per assignee, plus the overdue and
+ * missed tasks themselves (oldest window first, up to config.reportListLimit each).
+ */
+const buildTaskReport = async (filter, now = new Date()) => {
+    const [byUser, overdue, missed] = await Promise.all([
+        Task.aggregate([
+            { $match: Task.find().cast(Task, filter) },
+            { $group: { _id: { assignedTo: '$assignedTo', state: Task.stateExpression(now) }, count: { $sum: 1 } } },
+        ]),
+        Task.find({ $and: [filter, Task.stateFilter('overdue', now)] })
+            .sort({ windowEnd: 1 })
+            .limit(config.reportListLimit)
+            .populate('assignedTo', 'name email'),
+        Task.find({ $and: [filter, Task.stateFilter('missed', now)] })
+            .sort({ windowEnd: 1 })
+            .limit(config.reportListLimit)
+            .populate('assignedTo', 'name email'),
+    ]);
+
+    const emptyCounts = () => Object.fromEntries(TASK_STATES.map((state) => [state, 0]));
+    const totals = emptyCounts();
+    const perUser = new Map();
+    for (const { _id: { assignedTo, state }, count } of byUser) {
+        const key = String(assignedTo);
+        if (!perUser.has(key)) perUser.set(key, { userId: assignedTo, counts: emptyCounts(), total: 0 });
+        const row = perUser.get(key);
+        row.counts[state] += count;
+        row.total += count;
+        totals[state] += count;
+    }
+
+    const users = await User.find({ _id: { $in: [...perUser.values()].map((row) => row.userId) } }).select('name email').lean();
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+    const due = (counts) => counts.completed + counts.overdue + counts.missed;
+    const completionRate = (counts) => (due(counts) ? Math.round((counts.completed / due(counts)) * 1000) / 10 : null);
+
+    return {
+        generatedAt: now,
+        totals: { ...totals, total: Object.values(totals).reduce((sum, count) => sum + count, 0) },
+        // Completed share of the tasks whose window has closed or that were done (percent)
+        completionRate: completionRate(totals),
+        byUser: [...perUser.values()]
+            .map(({ userId, counts, total }) => ({
+                user: usersById.get(String(userId)) || { _id: userId },
+                counts,
+                total,
+                completionRate: completionRate(counts),
+            }))
+            .sort((a, b) => (b.counts.overdue + b.counts.missed) - (a.counts.overdue + a.counts.missed) || b.total - a.total),
+        overdue: overdue.map((task) => withState(task, now)),
+        missed: missed.map((task) => withState(task, now)),
+    };
+};
+
+module.exports = {
+    TASK_STATES,
+    OPEN_STATES,
+    withState,
+    resolveTaskLocation,
+    claimTaskForVisit,
+    releaseTask,
+    linkTaskPhoto,
+    buildTaskReport,
+};
@@ -0,0 +1,20 @@
+// backend/services/teamScope.js
+// Which users' data the caller may see, based on role and supervised teams
+const Team = require('../models/Team');
+
+/**
+ * Resolve the user IDs visible to `user` (req.user):
+ *   admin       undefined (no restriction)
+ *   supervisor  the members of the teams they supervise (may be empty)
+ *   user        only themselves
+ */
+const resolveUserScope = async (user) => {
+    if (user.role === 'admin') return undefined;
+    if (user.role === 'supervisor') return Team.memberIdsSupervisedBy(user.id);
+    return [String(user.id)];
+};
+
+// Whether a resolved scope lets the caller see a given user
+const isUserInScope = (scope, userId) => scope === undefined || scope.includes(String(userId));
+
+module.exports = { resolveUserScope, isUserInScope };
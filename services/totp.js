@@ -0,0 +1,125 @@
+// backend/services/totp.js
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 s) and recovery codes
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('../config/twoFactor');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for one time step
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, now = Date.now()) => codeForStep(secret, currentStep(now));
+
+/**
+ * Check a code against the steps around now.
+ * Returns the matching time step, or null. Steps at or before `afterStep`
+ * are refused so a code cannot be replayed.
+ */
+const verifyCode = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(candidate)) return null;
+
+    const step = currentStep(now);
+    for (let drift = -config.window; drift <= config.window; drift += 1) {
+        const checkedStep = step + drift;
+        if (checkedStep <= afterStep) continue;
+        const expected = codeForStep(secret, checkedStep);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return checkedStep;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI understood by Google Authenticator, Authy, 1Password, ...
+const buildOtpauthUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${config.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: config.issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const buildQrCodeDataUrl = (otpauthUri) => QRCode.toDataURL(otpauthUri);
+
+/* ---------------------------------------------------------------------- */
+/*                          Recovery codes                                */
+/* ---------------------------------------------------------------------- */
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Plain codes (shown to the user once) and their hashes (stored)
+const generateRecoveryCodes = (count = config.recoveryCodeCount) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    buildQrCodeDataUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+};
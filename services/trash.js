@@ -0,0 +1,90 @@
+// backend/services/trash.js
+// Permanent removal of trashed photos, on demand and on a schedule.
+const Photo = require('../models/Photo');
+const { deletePhotoAsset } = require('./storage');
+
+// Days a photo stays in the trash before the purge job removes it
+const retentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// How often the purge job runs
+const purgeIntervalMs = () => (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Delete a trashed photo's image from storage, then the document itself.
+ * The photo is first marked `purging` (only while still trashed), which
+ * makes restore refuse it: a restore racing the purge would otherwise bring
+ * back a photo without its image. The storage asset goes before the document
+ * so a failure leaves the photo in the trash (still marked) to be retried
+ * rather than an orphaned file.
+ * Resolves with false when the photo was no longer in the trash.
+ */
+const purgePhoto = async (photo) => {
+    const claimed = await Photo.findOneAndUpdate(
+        { _id: photo._id, deletedAt: { $ne: null } },
+        { $set: { purging: true } },
+        { new: true }
+    );
+    if (!claimed) {
+        return false;
+    }
+    await deletePhotoAsset(claimed);
+    await Photo.deleteOne({ _id: claimed._id });
+    return true;
+};
+
+/**
+ * Purge every photo trashed more than `days` ago.
+ * Resolves with { purged, failed }.
+ */
+const purgeExpiredPhotos = async (days = retentionDays()) => {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const cursor = Photo.find({ deletedAt: { $ne: null, $lte: cutoff } }).cursor();
+
+    let purged = 0;
+    let failed = 0;
+    for await (const photo of cursor) {
+        try {
+            if (await purgePhoto(photo)) {
+                purged += 1;
+            }
+        } catch (error) {
+            failed += 1;
+            console.error(`Failed to purge photo ${photo._id}:`, error.message);
+        }
+    }
+    return { purged, failed };
+};
+
+let purgeTimer = null;
+
+// Start the background purge job (no-op if already running)
+const startTrashPurgeJob = () => {
+    if (purgeTimer) return purgeTimer;
+
+    const run = async () => {
+        try {
+            const { purged, failed } = await purgeExpiredPhotos();
+            if (purged || failed) {
+                console.log(`🗑️  Trash purge: ${purged} photo(s) purged, ${failed} failed`);
+            }
+        } catch (error) {
+            console.error('Trash purge job failed:', error);
+        }
+    };
+
+    purgeTimer = setInterval(run, purgeIntervalMs());
+    purgeTimer.unref(); // Never keep the process alive just for this
+    return purgeTimer;
+};
+
+const stopTrashPurgeJob = () => {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+};
+
+module.exports = {
+    retentionDays,
+    purgePhoto,
+    purgeExpiredPhotos,
+    startTrashPurgeJob,
+    stopTrashPurgeJob,
+};
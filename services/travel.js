@@ -0,0 +1,214 @@
+// backend/services/travel.js
+// Daily routes rebuilt from a user's photos, and distance travelled.
+//
+// Photos taken one after the other within dwellRadiusMeters are merged into a
+// stop. Distance is measured stop to stop, so GPS jitter while standing still
+// does not count as travel; the photo-to-photo distance is reported as well.
+const Photo = require('../models/Photo');
+const config = require('../config/travel');
+const { createHttpError } = require('../utils/httpError');
+const { haversineDistance } = require('../utils/geo');
+const { DAY_MS, assertTimezone, localParts, zonedDayBounds } = require('../utils/timezone');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ROUTE_FIELDS = '_id latitude longitude accuracy timestamp imageUrl address userId';
+
+const parseDay = (value, label) => {
+    if (!DATE_ONLY_PATTERN.test(value || '') || isNaN(Date.parse(value))) {
+        throw createHttpError(400, `${label} must be a date in YYYY-MM-DD format.`);
+    }
+    return value;
+};
+
+const parsePositive = (value, fallback, label) => {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw createHttpError(400, `${label} must be a positive number.`);
+    }
+    return parsed;
+};
+
+/**
+ * Read the shared options from the query string, falling back to config/travel.js:
+ *   timezone, dwellRadius (meters), dwellMinPhotos
+ */
+const parseTravelOptions = (query = {}) => ({
+    timezone: assertTimezone(query.timezone || config.timezone),
+    dwellRadiusMeters: parsePositive(query.dwellRadius, config.dwellRadiusMeters, 'dwellRadius'),
+    dwellMinPhotos: Math.round(parsePositive(query.dwellMinPhotos, config.dwellMinPhotos, 'dwellMinPhotos')),
+});
+
+// from / to of the distance report, YYYY-MM-DD, bounded by maxRangeDays
+const parseDateRange = ({ from, to } = {}) => {
+    parseDay(from, 'from');
+    parseDay(to, 'to');
+    if (from > to) {
+        throw createHttpError(400, 'from must be before to.');
+    }
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > config.maxRangeDays) {
+        throw createHttpError(400, `The date range cannot be longer than ${config.maxRangeDays} days.`);
+    }
+    return { from, to };
+};
+
+const minutesBetween = (start, end) => Math.round((new Date(end) - new Date(start)) / 60000);
+const toKm = (meters) => Math.round(meters) / 1000;
+
+// Merge consecutive photos close to the running centroid into stops
+const clusterStops = (photos, radius) => {
+    const stops = [];
+    let current = null;
+    for (const photo of photos) {
+        if (current && haversineDistance(current.latitude, current.longitude, photo.latitude, photo.longitude) <= radius) {
+            current.photos.push(photo);
+            const count = current.photos.length;
+            current.latitude += (photo.latitude - current.latitude) / count;
+            current.longitude += (photo.longitude - current.longitude) / count;
+            current.departedAt = photo.timestamp;
+        } else {
+            current = {
+                latitude: photo.latitude,
+                longitude: photo.longitude,
+                arrivedAt: photo.timestamp,
+                departedAt: photo.timestamp,
+                photos: [photo],
+            };
+            stops.push(current);
+        }
+    }
+    return stops;
+};
+
+const rawDistance = (photos) => photos.reduce((total, photo, index) => (index === 0
+    ? 0
+    : total + haversineDistance(photos[index - 1].latitude, photos[index - 1].longitude, photo.latitude, photo.longitude)), 0);
+
+/**
+ * Rebuild a route from photos sorted by time.
+ * Resolves the trail geometry (GeoJSON LineString, null under two photos),
+ * stops, the legs between them and the dwell clusters.
+ */
+const buildRoute = (photos, { dwellRadiusMeters = config.dwellRadiusMeters, dwellMinPhotos = config.dwellMinPhotos } = {}) => {
+    const stops = clusterStops(photos, dwellRadiusMeters).map((stop, index) => ({
+        index,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        arrivedAt: stop.arrivedAt,
+        departedAt: stop.departedAt,
+        dwellMinutes: minutesBetween(stop.arrivedAt, stop.departedAt),
+        photoCount: stop.photos.length,
+        photoIds: stop.photos.map((photo) => photo._id),
+        address: stop.photos.find((photo) => photo.address)?.address,
+    }));
+
+    // Time and distance between one stop and the next
+    const legs = stops.slice(1).map((stop, index) => {
+        const previous = stops[index];
+        return {
+            fromStop: previous.index,
+            toStop: stop.index,
+            departedAt: previous.departedAt,
+            arrivedAt: stop.arrivedAt,
+            travelMinutes: minutesBetween(previous.departedAt, stop.arrivedAt),
+            distanceMeters: Math.round(haversineDistance(previous.latitude, previous.longitude, stop.latitude, stop.longitude)),
+        };
+    });
+
+    const distanceMeters = legs.reduce((total, leg) => total + leg.distanceMeters, 0);
+    return {
+        geometry: photos.length >= 2
+            ? { type: 'LineString', coordinates: photos.map((photo) => [photo.longitude, photo.latitude]) }
+            : null,
+        photoCount: photos.length,
+        startedAt: photos[0]?.timestamp ?? null,
+        endedAt: photos[photos.length - 1]?.timestamp ?? null,
+        distanceMeters,
+        distanceKm: toKm(distanceMeters),
+        rawDistanceMeters: Math.round(rawDistance(photos)),
+        stops,
+        legs,
+        dwellClusters: stops.filter((stop) => stop.photoCount >= dwellMinPhotos),
+    };
+};
+
+/**
+ * A user's route on one local day, as a GeoJSON Feature.
+ * `filter` is a photo filter from utils/photoQuery.js already limited to the user.
+ */
+const getDailyRoute = async (filter, day, options) => {
+    const { start, end } = zonedDayBounds(parseDay(day, 'date'), options.timezone);
+    const photos = await Photo.find({ ...filter, timestamp: { $gte: start, $lt: end } })
+        .select(ROUTE_FIELDS)
+        .sort({ timestamp: 1, _id: 1 })
+        .lean();
+
+    const { geometry, ...properties } = buildRoute(photos, options);
+    return {
+        type: 'Feature',
+        geometry,
+        properties: { date: day, timezone: options.timezone, ...properties },
+    };
+};
+
+/**
+ * Kilometres travelled per user per local day over a date range.
+ * Photos are streamed ordered by user and time; only one day is held in memory.
+ * Users come in descending id order.
+ * Resolves with [{ userId, days: [{ date, photoCount, stopCount, distanceKm }], totalKm, totalPhotos }].
+ */
+const getDistanceByUser = async (filter, { from, to }, options) => {
+    const cursor = Photo.find({
+        ...filter,
+        timestamp: { $gte: zonedDayBounds(from, options.timezone).start, $lt: zonedDayBounds(to, options.timezone).end },
+    })
+        .select('latitude longitude timestamp userId')
+        // The { userId: 1, timestamp: -1, _id: -1 } index walked backwards
+        .sort({ userId: -1, timestamp: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+    const users = [];
+    let currentUser = null;
+    let currentDay = null;
+    let dayPhotos = [];
+
+    const closeDay = () => {
+        if (!dayPhotos.length) return;
+        const route = buildRoute(dayPhotos, options);
+        currentUser.days.push({
+            date: currentDay,
+            photoCount: route.photoCount,
+            stopCount: route.stops.length,
+            distanceKm: route.distanceKm,
+        });
+        currentUser.totalMeters += route.distanceMeters;
+        currentUser.totalPhotos += route.photoCount;
+        dayPhotos = [];
+    };
+
+    for await (const photo of cursor) {
+        const day = localParts(photo.timestamp, options.timezone).day;
+        if (!currentUser || String(currentUser.userId) !== String(photo.userId)) {
+            if (currentUser) closeDay();
+            currentUser = { userId: photo.userId, days: [], totalMeters: 0, totalPhotos: 0 };
+            users.push(currentUser);
+            currentDay = day;
+        } else if (day !== currentDay) {
+            closeDay();
+            currentDay = day;
+        }
+        dayPhotos.push(photo);
+    }
+    if (currentUser) closeDay();
+
+    return users.map(({ totalMeters, ...user }) => ({ ...user, totalKm: toKm(totalMeters) }));
+};
+
+module.exports = {
+    parseTravelOptions,
+    parseDateRange,
+    buildRoute,
+    getDailyRoute,
+    getDistanceByUser,
+};
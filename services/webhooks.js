@@ -0,0 +1,247 @@
+// backend/services/webhooks.js
+// Outbound webhooks: events from the bus are queued as WebhookDelivery
+// documents and POSTed to the subscribed URLs by a background worker, with
+// exponential-backoff retries. The queue lives in MongoDB, so pending
+// deliveries survive restarts and several instances can share the work.
+//
+// Each request carries:
+//   X-Webhook-Id          the subscription
+//   X-Webhook-Event       event type, e.g. photo.created
+//   X-Webhook-Delivery    delivery ID (a replay gets a new one)
+//   X-Webhook-Timestamp   Unix seconds when the request was signed
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+// and the body { id, type, occurredAt, data }; `id` is the event ID, the same on retries and replays.
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config/webhooks');
+const { instanceId, subscribe } = require('./events');
+
+const WEBHOOK_EVENT_TYPES = ['photo.created', 'photo.deleted', 'user.created', 'user.updated', 'user.deleted'];
+const PING_EVENT_TYPE = 'webhook.ping';
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+const buildPayload = (event) => ({
+    id: event.id,
+    type: event.type,
+    occurredAt: event.occurredAt,
+    data: event.data,
+});
+
+// Wait before retry number `attempts` (1 = after the first failure)
+const retryDelayMs = (attempts) => {
+    const delay = Math.min(config.baseDelayMs * 2 ** (attempts - 1), config.maxDelayMs);
+    return Math.round(delay * (1 + Math.random() * 0.1));
+};
+
+/**
+ * Queue one delivery per active webhook subscribed to the event's type.
+ * Resolves with the created deliveries.
+ */
+const enqueueEvent = async (event) => {
+    const webhooks = await Webhook.find({ active: true, events: event.type }).select('_id').lean();
+    if (webhooks.length === 0) return [];
+
+    const payload = buildPayload(event);
+    return WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        eventId: event.id,
+        eventType: event.type,
+        payload,
+    })));
+};
+
+// Queue a ping for one webhook, whatever its event types (used to test a target)
+const enqueuePing = (webhook, user) => {
+    const payload = buildPayload({
+        id: crypto.randomUUID(),
+        type: PING_EVENT_TYPE,
+        occurredAt: new Date(),
+        data: { webhookId: webhook._id, name: webhook.name, requestedBy: user?.id },
+    });
+    return WebhookDelivery.create({
+        webhook: webhook._id,
+        eventId: payload.id,
+        eventType: payload.type,
+        payload,
+    });
+};
+
+// Queue the same event again for the same webhook, as a new delivery
+const replayDelivery = (delivery, user) => WebhookDelivery.create({
+    webhook: delivery.webhook,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    replayedBy: user?.id,
+});
+
+/**
+ * Atomically take one due delivery: pending and due, or stuck in
+ * 'delivering' past its lock (its worker died mid-request).
+ */
+const claimDueDelivery = (now = new Date()) => WebhookDelivery.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'delivering', lockedUntil: { $lte: now } },
+        ],
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + config.timeoutMs * 2) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// POST the delivery once; resolves with the attempt log entry and whether it succeeded
+const attemptDelivery = async (delivery, webhook) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    const attempt = { at: startedAt };
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': config.userAgent,
+                'X-Webhook-Id': String(webhook._id),
+                'X-Webhook-Event': delivery.eventType,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual', // A redirect is an answer, not something to follow with the signed body
+            signal: AbortSignal.timeout(config.timeoutMs),
+        });
+        attempt.responseStatus = response.status;
+        attempt.responseBody = (await response.text().catch(() => '')).slice(0, config.responseBodyLimit);
+        if (!response.ok) {
+            attempt.error = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs} ms` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt.getTime();
+    return { attempt, ok: !attempt.error };
+};
+
+/**
+ * Send a claimed delivery and record the outcome: succeeded, failed for
+ * good after config.maxAttempts, or pending again with a backoff delay.
+ */
+const sendDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    let attempt;
+    let ok = false;
+    if (!webhook) {
+        attempt = { at: new Date(), error: 'Webhook no longer exists' };
+    } else if (!webhook.active) {
+        attempt = { at: new Date(), error: 'Webhook is disabled' };
+    } else {
+        ({ attempt, ok } = await attemptDelivery(delivery, webhook));
+    }
+
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, lockedUntil: null };
+    if (ok) {
+        Object.assign(update, { status: 'succeeded', deliveredAt: attempt.at });
+    } else if (!webhook || !webhook.active || attempts >= config.maxAttempts) {
+        update.status = 'failed';
+    } else {
+        Object.assign(update, { status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)) });
+    }
+
+    return WebhookDelivery.findByIdAndUpdate(
+        delivery._id,
+        { $set: update, $push: { attemptLog: attempt } },
+        { new: true }
+    );
+};
+
+/**
+ * Send up to `limit` due deliveries, one after the other.
+ * Resolves with { sent, succeeded, retrying, failed }.
+ */
+const processDueDeliveries = async (limit = config.batchSize) => {
+    const summary = { sent: 0, succeeded: 0, retrying: 0, failed: 0 };
+    while (summary.sent < limit) {
+        const delivery = await claimDueDelivery();
+        if (!delivery) break;
+
+        const result = await sendDelivery(delivery);
+        summary.sent += 1;
+        if (result.status === 'succeeded') summary.succeeded += 1;
+        else if (result.status === 'failed') summary.failed += 1;
+        else summary.retrying += 1;
+    }
+    return summary;
+};
+
+let workerTimer = null;
+let unsubscribe = null;
+let running = false;
+
+// Run a round of deliveries now unless one is already in progress
+const runWorker = async () => {
+    if (running) return;
+    running = true;
+    try {
+        let summary;
+        do {
+            summary = await processDueDeliveries();
+        } while (summary.sent === config.batchSize);
+    } catch (error) {
+        console.error('Webhook worker failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+// Start queueing bus events and sending deliveries (no-op if already running)
+const startWebhookWorker = () => {
+    if (workerTimer) return workerTimer;
+
+    unsubscribe = subscribe((event) => {
+        // With a shared bus every instance sees every event; only the publisher queues it
+        if (event.origin !== instanceId || !WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+        enqueueEvent(event)
+            .then((deliveries) => deliveries.length && runWorker())
+            .catch((error) => console.error(`Failed to queue webhooks for ${event.type}:`, error.message));
+    });
+
+    workerTimer = setInterval(runWorker, config.pollIntervalMs);
+    workerTimer.unref(); // Never keep the process alive just for this
+    return workerTimer;
+};
+
+const stopWebhookWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+};
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    PING_EVENT_TYPE,
+    generateWebhookSecret,
+    signPayload,
+    retryDelayMs,
+    enqueueEvent,
+    enqueuePing,
+    replayDelivery,
+    processDueDeliveries,
+    runWorker,
+    startWebhookWorker,
+    stopWebhookWorker,
+};
@@ -0,0 +1,67 @@
+// backend/utils/csvParser.js
+// Minimal RFC 4180 reader, the counterpart of toCsvLine in exportFormats.js:
+// quoted fields may hold commas, doubled quotes and line breaks; lines end
+// with CRLF or LF. A leading UTF-8 byte order mark (Excel) is skipped.
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Blank lines are dropped. Throws on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^﻿/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            i += 1;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\r' && input[i + 1] === '\n') {
+            endRecord();
+            i += 1;
+        } else if (char === '\n' || char === '\r') {
+            endRecord();
+        } else {
+            field += char;
+        }
+        i += 1;
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field.');
+    }
+    if (field !== '' || record.length > 0) endRecord();
+    return records;
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,168 @@
+// backend/utils/exportFormats.js
+// Row-at-a-time serializers for photo exports (CSV, GeoJSON, KML, GPX).
+// Each format exposes start(), item(photo, index) and end() so that exports
+// can be streamed straight from a Mongo cursor without buffering.
+
+/**
+ * Columns shared by every export format.
+ * `photo` is a lean document with `userId` and `site` populated
+ * (either may be null if the referenced document was deleted).
+ */
+const PHOTO_COLUMNS = [
+    { key: 'userName', header: 'User Name', value: (photo) => photo.userId?.name ?? '' },
+    { key: 'userEmail', header: 'User Email', value: (photo) => photo.userId?.email ?? '' },
+    { key: 'imageUrl', header: 'Image URL', value: (photo) => photo.imageUrl },
+    { key: 'latitude', header: 'Latitude', value: (photo) => photo.latitude },
+    { key: 'longitude', header: 'Longitude', value: (photo) => photo.longitude },
+    { key: 'accuracy', header: 'Accuracy', value: (photo) => photo.accuracy ?? '' },
+    { key: 'timestamp', header: 'Timestamp', value: (photo) => (photo.timestamp ? new Date(photo.timestamp).toISOString() : '') },
+    { key: 'receivedAt', header: 'Received At', value: (photo) => (photo.receivedAt ? new Date(photo.receivedAt).toISOString() : '') },
+    { key: 'address', header: 'Address', value: (photo) => photo.address ?? '' },
+    { key: 'street', header: 'Street', value: (photo) => [photo.addressComponents?.houseNumber, photo.addressComponents?.street].filter(Boolean).join(' ') },
+    { key: 'city', header: 'City', value: (photo) => photo.addressComponents?.city ?? '' },
+    { key: 'postcode', header: 'Postcode', value: (photo) => photo.addressComponents?.postcode ?? '' },
+    { key: 'country', header: 'Country', value: (photo) => photo.addressComponents?.country ?? '' },
+    { key: 'site', header: 'Site', value: (photo) => photo.site?.name ?? '' },
+    { key: 'geofence', header: 'Geofence', value: (photo) => photo.geofenceStatus ?? '' },
+    { key: 'exifLatitude', header: 'EXIF Latitude', value: (photo) => photo.exif?.latitude ?? '' },
+    { key: 'exifLongitude', header: 'EXIF Longitude', value: (photo) => photo.exif?.longitude ?? '' },
+    { key: 'exifTakenAt', header: 'EXIF Taken At', value: (photo) => (photo.exif?.takenAt ? new Date(photo.exif.takenAt).toISOString() : '') },
+    { key: 'device', header: 'Device', value: (photo) => [photo.exif?.make, photo.exif?.model].filter(Boolean).join(' ') },
+    { key: 'exifDistance', header: 'EXIF Distance (m)', value: (photo) => photo.exifCheck?.distanceMeters ?? '' },
+    { key: 'exifTimeSkew', header: 'EXIF Time Skew (s)', value: (photo) => photo.exifCheck?.timeSkewSeconds ?? '' },
+    { key: 'exifScore', header: 'EXIF Score', value: (photo) => photo.exifCheck?.score ?? '' },
+    { key: 'exifStatus', header: 'EXIF Status', value: (photo) => photo.exifCheck?.status ?? '' },
+    { key: 'duplicateOf', header: 'Duplicate Of', value: (photo) => (photo.duplicateOf ? String(photo.duplicateOf) : '') },
+    { key: 'duplicateDistance', header: 'Duplicate Distance', value: (photo) => photo.duplicateDistance ?? '' },
+    { key: 'reviewStatus', header: 'Review Status', value: (photo) => photo.review?.status ?? 'pending' },
+    { key: 'reviewReason', header: 'Review Reason', value: (photo) => photo.review?.reason ?? '' },
+    { key: 'reviewedBy', header: 'Reviewed By', value: (photo) => photo.review?.reviewedBy?.name ?? (photo.review?.reviewedBy ? String(photo.review.reviewedBy) : '') },
+    { key: 'reviewedAt', header: 'Reviewed At', value: (photo) => (photo.review?.reviewedAt ? new Date(photo.review.reviewedAt).toISOString() : '') },
+    { key: 'tags', header: 'Tags', value: (photo) => (photo.tags || []).join('; ') },
+    { key: 'comments', header: 'Comments', value: (photo) => (photo.comments || []).filter((comment) => !comment.deletedAt).length },
+];
+
+const CRLF = '\r\n';
+
+// RFC 4180: quote fields containing commas, quotes or line breaks; double embedded quotes
+const csvEscape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(csvEscape).join(',') + CRLF;
+
+const xmlEscape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const photoProperties = (photo) => Object.fromEntries(
+    PHOTO_COLUMNS.map((column) => [column.key, column.value(photo)])
+);
+
+const photoLabel = (photo) => `${photo.userId?.name || 'Unknown user'} - ${new Date(photo.timestamp).toISOString()}`;
+
+const photoDescription = (photo) => PHOTO_COLUMNS
+    .map((column) => `${column.header}: ${column.value(photo)}`)
+    .join('\n');
+
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => toCsvLine(PHOTO_COLUMNS.map((column) => column.header)),
+        item: (photo) => toCsvLine(PHOTO_COLUMNS.map((column) => column.value(photo))),
+        end: () => '',
+    },
+    geojson: {
+        contentType: 'application/geo+json; charset=utf-8',
+        extension: 'geojson',
+        start: () => '{"type":"FeatureCollection","features":[',
+        item: (photo, index) => (index > 0 ? ',' : '') + JSON.stringify({
+            type: 'Feature',
+            id: String(photo._id),
+            geometry: { type: 'Point', coordinates: [photo.longitude, photo.latitude] },
+            properties: photoProperties(photo),
+        }),
+        end: () => ']}',
+    },
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+        extension: 'kml',
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Photos export</name>\n',
+        item: (photo) => '<Placemark>'
+            + `<name>${xmlEscape(photoLabel(photo))}</name>`
+            + `<description>${xmlEscape(photoDescription(photo))}</description>`
+            + `<TimeStamp><when>${new Date(photo.timestamp).toISOString()}</when></TimeStamp>`
+            + '<ExtendedData>'
+            + PHOTO_COLUMNS.map((column) => `<Data name="${column.key}"><value>${xmlEscape(column.value(photo))}</value></Data>`).join('')
+            + '</ExtendedData>'
+            + `<Point><coordinates>${photo.longitude},${photo.latitude},0</coordinates></Point>`
+            + '</Placemark>\n',
+        end: () => '</Document></kml>\n',
+    },
+    gpx: {
+        contentType: 'application/gpx+xml; charset=utf-8',
+        extension: 'gpx',
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<gpx version="1.1" creator="focus-gps-backend" xmlns="http://www.topografix.com/GPX/1/1">\n',
+        item: (photo) => `<wpt lat="${photo.latitude}" lon="${photo.longitude}">`
+            + `<time>${new Date(photo.timestamp).toISOString()}</time>`
+            + `<name>${xmlEscape(photoLabel(photo))}</name>`
+            + `<desc>${xmlEscape(photoDescription(photo))}</desc>`
+            + `<link href="${xmlEscape(photo.imageUrl)}"/>`
+            + '</wpt>\n',
+        end: () => '</gpx>\n',
+    },
+};
+
+/**
+ * Write a chunk, waiting for 'drain' when the socket buffer is full.
+ * Resolves with false if the stream is closed (client gone) instead of
+ * draining: the caller must stop writing.
+ */
+const writeChunk = async (stream, chunk) => {
+    if (stream.destroyed) return false;
+    if (!chunk || stream.write(chunk)) return true;
+
+    return new Promise((resolve) => {
+        const settle = (drained) => () => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            resolve(drained);
+        };
+        const onDrain = settle(true);
+        const onClose = settle(false);
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+    });
+};
+
+/**
+ * Stream every document of a Mongo cursor to `stream` using `format`.
+ * Resolves with the number of items written (stops early if the stream closes).
+ */
+const streamCursor = async (stream, cursor, format) => {
+    let index = 0;
+    if (!(await writeChunk(stream, format.start()))) return index;
+    for await (const photo of cursor) {
+        if (!(await writeChunk(stream, format.item(photo, index)))) return index;
+        index += 1;
+    }
+    await writeChunk(stream, format.end());
+    return index;
+};
+
+module.exports = {
+    PHOTO_COLUMNS,
+    FORMATS,
+    csvEscape,
+    toCsvLine,
+    xmlEscape,
+    writeChunk,
+    streamCursor,
+};
@@ -0,0 +1,220 @@
+// backend/utils/geo.js
+const { createHttpError } = require('./httpError');
+
+// Mean Earth radius in meters (used for $centerSphere radians conversion)
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const isValidLongitude = (lng) => Number.isFinite(lng) && lng >= -180 && lng <= 180;
+const isValidLatitude = (lat) => Number.isFinite(lat) && lat >= -90 && lat <= 90;
+
+// Build a GeoJSON Point from latitude/longitude (GeoJSON order is [lng, lat])
+const toGeoPoint = (latitude, longitude) => ({
+    type: 'Point',
+    coordinates: [Number(longitude), Number(latitude)],
+});
+
+// Parse "lng,lat" into [lng, lat], validating ranges
+const parseLngLat = (value, label) => {
+    const parts = String(value).split(',').map((part) => Number(part.trim()));
+    if (parts.length !== 2 || !isValidLongitude(parts[0]) || !isValidLatitude(parts[1])) {
+        throw createHttpError(400, `Invalid ${label}: expected "lng,lat" with valid ranges.`);
+    }
+    return parts;
+};
+
+// Parse "minLng,minLat,maxLng,maxLat" into a closed GeoJSON Polygon
+const parseBoundingBox = (value) => {
+    const parts = String(value).split(',').map((part) => Number(part.trim()));
+    if (parts.length !== 4) {
+        throw createHttpError(400, 'Invalid bbox: expected "minLng,minLat,maxLng,maxLat".');
+    }
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (!isValidLongitude(minLng) || !isValidLongitude(maxLng)
+        || !isValidLatitude(minLat) || !isValidLatitude(maxLat)
+        || minLng >= maxLng || minLat >= maxLat) {
+        throw createHttpError(400, 'Invalid bbox: coordinates out of range or min >= max.');
+    }
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat],
+        ]],
+    };
+};
+
+// Parse a ring given either as an array of [lng, lat] pairs or as "lng,lat;lng,lat;..."
+// and close it if the caller left it open.
+const parsePolygon = (value, label = 'polygon') => {
+    const pairs = Array.isArray(value)
+        ? value
+        : String(value).split(';').filter((pair) => pair.trim() !== '');
+
+    const ring = pairs.map((pair) => {
+        if (!Array.isArray(pair)) {
+            return parseLngLat(pair, label);
+        }
+        const [lng, lat] = pair.map(Number);
+        if (pair.length !== 2 || !isValidLongitude(lng) || !isValidLatitude(lat)) {
+            throw createHttpError(400, `Invalid ${label}: coordinates out of range.`);
+        }
+        return [lng, lat];
+    });
+
+    if (ring.length < 3) {
+        throw createHttpError(400, `Invalid ${label}: at least 3 points are required.`);
+    }
+
+    const [firstLng, firstLat] = ring[0];
+    const [lastLng, lastLat] = ring[ring.length - 1];
+    if (firstLng !== lastLng || firstLat !== lastLat) {
+        ring.push([firstLng, firstLat]);
+    }
+    if (ring.length < 4) {
+        throw createHttpError(400, `Invalid ${label}: at least 3 distinct points are required.`);
+    }
+
+    return { type: 'Polygon', coordinates: [ring] };
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in meters between two lat/lng positions (haversine)
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Ray-casting point-in-polygon test on a GeoJSON ring ([[lng, lat], ...]).
+// Planar approximation, which is accurate enough at site scale.
+const isPointInRing = (lng, lat, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const intersects = (yi > lat) !== (yj > lat)
+            && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+        if (intersects) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Build a Mongo filter on `location` from the request query.
+ * Supported modes (only one at a time):
+ *   - near:    ?near=lng,lat&radius=<meters>
+ *   - bbox:    ?bbox=minLng,minLat,maxLng,maxLat
+ *   - polygon: ?polygon=lng,lat;lng,lat;lng,lat
+ * Returns null when no geo parameter is present.
+ *
+ * NOTE: "near" uses $geoWithin/$centerSphere rather than $near so that results
+ * can still be sorted by timestamp and counted.
+ */
+const buildGeoFilter = (query = {}) => {
+    const { near, radius, bbox, polygon } = query;
+    const modes = [near, bbox, polygon].filter((mode) => mode !== undefined && mode !== '');
+
+    if (modes.length === 0) {
+        return null;
+    }
+    if (modes.length > 1) {
+        throw createHttpError(400, 'Use only one of near, bbox or polygon.');
+    }
+
+    if (near) {
+        const center = parseLngLat(near, 'near');
+        const radiusMeters = Number(radius);
+        if (!Number.isFinite(radiusMeters) || radiusMeters <= 0) {
+            throw createHttpError(400, 'A positive radius (in meters) is required with near.');
+        }
+        return {
+            $geoWithin: { $centerSphere: [center, radiusMeters / EARTH_RADIUS_METERS] },
+        };
+    }
+
+    const geometry = bbox ? parseBoundingBox(bbox) : parsePolygon(polygon);
+    return { $geoWithin: { $geometry: geometry } };
+};
+
+/**
+ * In-memory counterpart of buildGeoFilter: the same near+radius, bbox or
+ * polygon query parameters, as a (latitude, longitude) => boolean predicate.
+ * Returns null when the query has no area.
+ */
+const buildAreaMatcher = (query = {}) => {
+    const geoFilter = buildGeoFilter(query); // Validates the parameters
+    if (!geoFilter) {
+        return null;
+    }
+
+    if (query.near) {
+        const [centerLng, centerLat] = parseLngLat(query.near, 'near');
+        const radiusMeters = Number(query.radius);
+        return (latitude, longitude) => haversineDistance(latitude, longitude, centerLat, centerLng) <= radiusMeters;
+    }
+
+    const [outerRing] = geoFilter.$geoWithin.$geometry.coordinates;
+    return (latitude, longitude) => isPointInRing(longitude, latitude, outerRing);
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Size in degrees of a geohash cell: geohashes of one precision form a regular
+// lat/lng grid anchored at (-90, -180), which lets aggregations bin on it
+const geohashCellSize = (precision) => {
+    const bits = precision * 5;
+    return {
+        lngDegrees: 360 / 2 ** Math.ceil(bits / 2),
+        latDegrees: 180 / 2 ** Math.floor(bits / 2),
+    };
+};
+
+// Standard base-32 geohash of a position
+const encodeGeohash = (latitude, longitude, precision) => {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bit = 0;
+    let value = 0;
+    let evenBit = true; // Longitude first
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const coordinate = evenBit ? longitude : latitude;
+        const middle = (range[0] + range[1]) / 2;
+        value <<= 1;
+        if (coordinate >= middle) {
+            value |= 1;
+            range[0] = middle;
+        } else {
+            range[1] = middle;
+        }
+        evenBit = !evenBit;
+        bit += 1;
+        if (bit === 5) {
+            hash += GEOHASH_ALPHABET[value];
+            bit = 0;
+            value = 0;
+        }
+    }
+    return hash;
+};
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    toGeoPoint,
+    haversineDistance,
+    isPointInRing,
+    parseLngLat,
+    parseBoundingBox,
+    parsePolygon,
+    buildGeoFilter,
+    buildAreaMatcher,
+    geohashCellSize,
+    encodeGeohash,
+};
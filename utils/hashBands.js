@@ -0,0 +1,45 @@
+// backend/utils/hashBands.js
+// Comparing and indexing 64-bit perceptual hashes (computed by
+// services/perceptualHash.js), stored as 16 hex characters.
+//
+// To find near-duplicates without scanning every photo, a hash is split into
+// BAND_COUNT bands stored as indexed strings: two hashes within
+// BAND_COUNT - 1 bits of each other always share at least one identical band
+// (pigeonhole principle).
+
+const BAND_SIZES = [11, 11, 11, 11, 10, 10];
+const BAND_COUNT = BAND_SIZES.length;
+
+// Largest Hamming distance still considered "the same picture".
+// Capped at BAND_COUNT - 1, the largest distance the bands can guarantee to find.
+const maxDistance = () => {
+    const configured = Number(process.env.PHASH_MAX_DISTANCE ?? 5);
+    return Math.min(Number.isFinite(configured) ? configured : 5, BAND_COUNT - 1);
+};
+
+// Set bits in a 32-bit integer
+const popcount32 = (value) => {
+    let n = value - ((value >>> 1) & 0x55555555);
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Number of differing bits between two hex hashes (compared as two 32-bit halves)
+const hammingDistance = (a, b) => (
+    popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16))
+    + popcount32(parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16))
+);
+
+// Split a hash into its indexed bands: ["0:1a2", "1:3f", ...]
+const hashBands = (hash) => {
+    let value = BigInt(`0x${hash}`);
+    const bands = [];
+    for (let index = BAND_COUNT - 1; index >= 0; index--) {
+        const size = BigInt(BAND_SIZES[index]);
+        bands.unshift(`${index}:${(value & ((1n << size) - 1n)).toString(16)}`);
+        value >>= size;
+    }
+    return bands;
+};
+
+module.exports = { BAND_COUNT, hammingDistance, hashBands, maxDistance };
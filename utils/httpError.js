@@ -0,0 +1,12 @@
+// backend/utils/httpError.js
+
+// Helper to build an Error carrying an HTTP status.
+// The global error handler in server.js (and the controllers' catch blocks)
+// read `err.status` to decide which status code to send back.
+const createHttpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = { createHttpError };
@@ -0,0 +1,110 @@
+// backend/utils/pagination.js
+// Cursor pagination over a (date field, _id) ordering, shared by the
+// listing endpoints. Ordering on _id as well keeps pages stable even when
+// several documents share the same date.
+const mongoose = require('mongoose');
+const { createHttpError } = require('./httpError');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque base64url-encoded { t: date, id: _id } pairs
+const encodeCursor = (doc, field = 'timestamp') => Buffer
+    .from(JSON.stringify({ t: new Date(doc[field]).toISOString(), id: String(doc._id) }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const date = new Date(t);
+        if (isNaN(date.getTime()) || !OBJECT_ID_PATTERN.test(id)) {
+            throw new Error('Malformed cursor');
+        }
+        return { date, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        throw createHttpError(400, 'Invalid cursor.');
+    }
+};
+
+/**
+ * Parse limit, sort (asc | desc, default desc) and cursor from the query string.
+ */
+const parsePageOptions = (query = {}) => {
+    const { limit, sort, cursor } = query;
+
+    let pageSize = DEFAULT_PAGE_SIZE;
+    if (limit !== undefined && limit !== '') {
+        pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            throw createHttpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+        }
+    }
+
+    if (sort !== undefined && !['asc', 'desc'].includes(sort)) {
+        throw createHttpError(400, 'sort must be asc or desc.');
+    }
+    const direction = sort === 'asc' ? 1 : -1;
+
+    return {
+        limit: pageSize,
+        direction,
+        cursor: cursor ? decodeCursor(cursor) : null,
+    };
+};
+
+// Narrow a filter to the documents strictly after the cursor position
+const applyCursor = (filter, cursor, direction, field = 'timestamp') => {
+    if (!cursor) {
+        return filter;
+    }
+    const op = direction === 1 ? '$gt' : '$lt';
+    return {
+        $and: [
+            filter,
+            {
+                $or: [
+                    { [field]: { [op]: cursor.date } },
+                    { [field]: cursor.date, _id: { [op]: cursor.id } },
+                ],
+            },
+        ],
+    };
+};
+
+/**
+ * Run one page of `Model.find(filter)` ordered by (field, _id), plus the total count.
+ * `decorate(query)` may add select/populate/lean to the page query.
+ * Resolves with { items, total, limit, hasMore, nextCursor }.
+ */
+const findPage = async (Model, filter, { limit, direction, cursor }, { field = 'timestamp', decorate = (query) => query } = {}) => {
+    const pageQuery = decorate(
+        Model.find(applyCursor(filter, cursor, direction, field))
+            .sort({ [field]: direction, _id: direction })
+            .limit(limit + 1) // Fetch one extra to know whether there is a next page
+    );
+
+    const [items, total] = await Promise.all([pageQuery, Model.countDocuments(filter)]);
+
+    const hasMore = items.length > limit;
+    if (hasMore) {
+        items.pop();
+    }
+
+    return {
+        items,
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    parsePageOptions,
+    applyCursor,
+    findPage,
+};
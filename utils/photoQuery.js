@@ -0,0 +1,184 @@
+// backend/utils/photoQuery.js
+const { createHttpError } = require('./httpError');
+const { buildGeoFilter } = require('./geo');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GEOFENCE_STATUSES = ['inside', 'outside', 'unassigned'];
+const EXIF_STATUSES = ['consistent', 'mismatch', 'no_exif'];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Accept "a,b" as well as repeated query params (?userIds=a&userIds=b)
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const parseDate = (value, label) => {
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) {
+        throw createHttpError(400, `Invalid ${label} date format.`);
+    }
+    return parsed;
+};
+
+const parseBoolean = (value, label) => {
+    if (value === 'true' || value === true) return true;
+    if (value === 'false' || value === false) return false;
+    throw createHttpError(400, `${label} must be true or false.`);
+};
+
+/**
+ * Build the Mongo filter shared by the photo listing endpoints
+ * from the request query string.
+ *
+ *   date          single day (kept for backwards compatibility)
+ *   from, to      date range; a date-only `to` includes the whole day
+ *   userId        one user, or userIds=a,b,c for several
+ *   siteId        photos tagged with a given site
+ *   geofence      inside | outside | unassigned
+ *   exifStatus    consistent | mismatch | no_exif
+ *   minExifScore  only photos whose EXIF discrepancy score is >= value
+ *   duplicate     true | false: flagged as a near-duplicate of an earlier photo
+ *   maxAccuracy   only photos with accuracy <= value (meters)
+ *   hasAddress    true | false
+ *   reviewStatus  pending | approved | rejected, comma-separated for several
+ *   tags          comma-separated; photos carrying every one of them
+ *   near+radius | bbox | polygon (see utils/geo.js)
+ *
+ * When `ownerId` is given, the filter is always scoped to that user and
+ * any userId/userIds in the query is ignored.
+ * When `scopeUserIds` is given (supervisors, see services/teamScope.js), only
+ * those users' photos match; a userId/userIds outside the scope matches nothing.
+ * Trashed photos are excluded, unless `trashed` is set (then only they match).
+ * Throws an Error with `status = 400` on invalid input.
+ */
+const buildPhotoFilter = (query = {}, { ownerId, scopeUserIds, trashed = false } = {}) => {
+    const filter = { deletedAt: trashed ? { $ne: null } : null };
+    const {
+        date, from, to, userId, userIds, siteId, geofence, exifStatus, minExifScore, duplicate,
+        maxAccuracy, hasAddress, reviewStatus, tags,
+    } = query;
+
+    if (date) {
+        // Further validation to ensure date is a valid date string
+        const parsedDate = parseDate(date, 'date');
+        const startOfDay = new Date(parsedDate);
+        startOfDay.setHours(0, 0, 0, 0);
+        const endOfDay = new Date(parsedDate);
+        endOfDay.setHours(23, 59, 59, 999);
+        filter.timestamp = { $gte: startOfDay, $lte: endOfDay };
+    }
+
+    if (from || to) {
+        if (date) {
+            throw createHttpError(400, 'Use either date or from/to, not both.');
+        }
+        filter.timestamp = {};
+        if (from) {
+            filter.timestamp.$gte = parseDate(from, 'from');
+        }
+        if (to) {
+            const end = parseDate(to, 'to');
+            if (DATE_ONLY_PATTERN.test(to)) {
+                end.setHours(23, 59, 59, 999);
+            }
+            filter.timestamp.$lte = end;
+        }
+        if (filter.timestamp.$gte && filter.timestamp.$lte && filter.timestamp.$gte > filter.timestamp.$lte) {
+            throw createHttpError(400, 'from must be before to.');
+        }
+    }
+
+    if (ownerId) {
+        filter.userId = ownerId;
+    } else if (userId || userIds) {
+        const ids = [...(userId ? toList(userId) : []), ...(userIds ? toList(userIds) : [])];
+        // Further validation to ensure every userId is a valid MongoDB ObjectId
+        if (ids.length === 0 || ids.some((id) => !OBJECT_ID_PATTERN.test(id))) {
+            throw createHttpError(400, 'Invalid User ID format.');
+        }
+        const visibleIds = scopeUserIds ? ids.filter((id) => scopeUserIds.includes(id)) : ids;
+        filter.userId = visibleIds.length === 1 ? visibleIds[0] : { $in: visibleIds };
+    } else if (scopeUserIds) {
+        filter.userId = { $in: scopeUserIds };
+    }
+
+    if (siteId) {
+        if (!OBJECT_ID_PATTERN.test(siteId)) {
+            throw createHttpError(400, 'Invalid Site ID format.');
+        }
+        filter.site = siteId;
+    }
+
+    if (geofence) {
+        if (!GEOFENCE_STATUSES.includes(geofence)) {
+            throw createHttpError(400, `geofence must be one of: ${GEOFENCE_STATUSES.join(', ')}.`);
+        }
+        filter.geofenceStatus = geofence;
+    }
+
+    if (exifStatus) {
+        if (!EXIF_STATUSES.includes(exifStatus)) {
+            throw createHttpError(400, `exifStatus must be one of: ${EXIF_STATUSES.join(', ')}.`);
+        }
+        filter['exifCheck.status'] = exifStatus;
+    }
+
+    if (minExifScore !== undefined && minExifScore !== '') {
+        const min = Number(minExifScore);
+        if (!Number.isFinite(min) || min < 0) {
+            throw createHttpError(400, 'minExifScore must be a non-negative number.');
+        }
+        filter['exifCheck.score'] = { $gte: min };
+    }
+
+    if (duplicate !== undefined && duplicate !== '') {
+        filter.duplicateOf = { $exists: parseBoolean(duplicate, 'duplicate') };
+    }
+
+    if (maxAccuracy !== undefined && maxAccuracy !== '') {
+        const max = Number(maxAccuracy);
+        if (!Number.isFinite(max) || max < 0) {
+            throw createHttpError(400, 'maxAccuracy must be a non-negative number.');
+        }
+        filter.accuracy = { $lte: max };
+    }
+
+    if (hasAddress !== undefined && hasAddress !== '') {
+        filter.address = parseBoolean(hasAddress, 'hasAddress')
+            ? { $exists: true, $nin: [null, ''] }
+            : { $in: [null, ''] };
+    }
+
+    if (reviewStatus) {
+        const statuses = toList(reviewStatus);
+        if (statuses.length === 0 || statuses.some((status) => !REVIEW_STATUSES.includes(status))) {
+            throw createHttpError(400, `reviewStatus must be a list of: ${REVIEW_STATUSES.join(', ')}.`);
+        }
+        // Photos stored before reviews existed have no status and count as pending
+        const values = statuses.includes('pending') ? [...statuses, null] : statuses;
+        filter['review.status'] = { $in: values };
+    }
+
+    if (tags) {
+        const wanted = toList(tags).map((tag) => tag.toLowerCase());
+        if (wanted.length > 0) {
+            filter.tags = { $all: wanted };
+        }
+    }
+
+    const geoFilter = buildGeoFilter(query);
+    if (geoFilter) {
+        filter.location = geoFilter;
+    }
+
+    return filter;
+};
+
+module.exports = {
+    OBJECT_ID_PATTERN,
+    GEOFENCE_STATUSES,
+    EXIF_STATUSES,
+    REVIEW_STATUSES,
+    buildPhotoFilter,
+};
@@ -0,0 +1,65 @@
+// backend/utils/timezone.js
+// Local calendar days in an IANA time zone, without a date library
+const { createHttpError } = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Throws a 400 error for time zones the runtime does not know
+const assertTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw createHttpError(400, `Unknown timezone: ${timezone}.`);
+    }
+    return timezone;
+};
+
+// Local date (YYYY-MM-DD) and time (HH:mm) of an instant in a time zone
+const localParts = (date, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date).map((part) => [part.type, part.value]));
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        // Wall-clock time read as if it were UTC (used to derive the offset)
+        wallClockMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second),
+    };
+};
+
+// Offset of the time zone from UTC at a given instant, in ms
+const offsetAt = (time, timezone) => localParts(new Date(time), timezone).wallClockMs - Math.floor(time / 1000) * 1000;
+
+/**
+ * UTC instants bounding a local day: { start, end } with end exclusive.
+ * DST changes inside the day are handled (the day may be 23 or 25 hours).
+ */
+const zonedDayBounds = (day, timezone) => {
+    const startOfDay = (midnightUtc) => {
+        const guess = midnightUtc - offsetAt(midnightUtc, timezone);
+        return midnightUtc - offsetAt(guess, timezone);
+    };
+    const midnight = Date.parse(`${day}T00:00:00Z`);
+    return { start: new Date(startOfDay(midnight)), end: new Date(startOfDay(midnight + DAY_MS)) };
+};
+
+// Every YYYY-MM-DD from `from` to `to`, inclusive
+const listDays = (from, to) => {
+    const days = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+        days.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return days;
+};
+
+// Day of the week of a YYYY-MM-DD (0 = Sunday), the same in every time zone
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+module.exports = { DAY_MS, assertTimezone, localParts, zonedDayBounds, listDays, weekdayOf };